@@ -1,4 +1,4 @@
-import { DEFAULT_ACTIVITIES, DEFAULT_CONFIG } from './constants.js';
+import { DEFAULT_ACTIVITIES, DEFAULT_CONFIG, TILE_PRESETS, TRACKABLE_DOMAINS } from './constants.js';
 
 /**
  * Manages card configuration, including merging defaults with user config
@@ -18,6 +18,18 @@ export class ConfigManager {
       throw new Error('You need to define entities');
     }
 
+    // Validate tracked entities (empty entries are allowed while editing)
+    config.entities.forEach(entity => {
+      const entityId = entity && entity.person;
+      if (entityId && !TRACKABLE_DOMAINS[entityId.split('.')[0]]) {
+        throw new Error(`Unsupported entity "${entityId}". Must be a person, device_tracker or sensor entity.`);
+      }
+
+      if (entity && entity.extra_entities !== undefined && !Array.isArray(entity.extra_entities)) {
+        throw new Error(`Invalid extra_entities for "${entityId}". Must be a list of entity IDs.`);
+      }
+    });
+
     // Validate speed_source configuration
     if (config.speed_source && !['calculated', 'sensor'].includes(config.speed_source)) {
       throw new Error(`Invalid speed_source "${config.speed_source}". Must be either 'calculated' or 'sensor'.`);
@@ -28,22 +40,157 @@ export class ConfigManager {
       throw new Error(`Invalid activity_source "${config.activity_source}". Must be either 'sensor' or 'speed_predicted'.`);
     }
 
+    // Validate theme_mode configuration
+    if (config.theme_mode && !['auto', 'light', 'dark'].includes(config.theme_mode)) {
+      throw new Error(`Invalid theme_mode "${config.theme_mode}". Must be 'auto', 'light' or 'dark'.`);
+    }
+
+    // Validate overlap_mode configuration
+    if (config.overlap_mode && !['spiderfy', 'group', 'none'].includes(config.overlap_mode)) {
+      throw new Error(`Invalid overlap_mode "${config.overlap_mode}". Must be 'spiderfy', 'group' or 'none'.`);
+    }
+
+    // Validate trail configuration
+    if (config.trail_hours !== undefined && !(Number(config.trail_hours) > 0)) {
+      throw new Error(`Invalid trail_hours "${config.trail_hours}". Must be a positive number of hours.`);
+    }
+
+    if (config.trail_color && !['zone', 'activity'].includes(config.trail_color)) {
+      throw new Error(`Invalid trail_color "${config.trail_color}". Must be either 'zone' or 'activity'.`);
+    }
+
+    // Validate units configuration
+    if (config.units && !['auto', 'metric', 'imperial'].includes(config.units)) {
+      throw new Error(`Invalid units "${config.units}". Must be 'auto', 'metric' or 'imperial'.`);
+    }
+
+    // Validate distance configuration
+    if (config.distance_zone !== undefined &&
+        !(typeof config.distance_zone === 'string' && config.distance_zone.startsWith('zone.'))) {
+      throw new Error(`Invalid distance_zone "${config.distance_zone}". Must be a zone entity like zone.home.`);
+    }
+
+    // Validate update throttle
+    if (config.update_throttle !== undefined && !(Number(config.update_throttle) >= 0)) {
+      throw new Error(`Invalid update_throttle "${config.update_throttle}". Must be a number of seconds, 0 or more.`);
+    }
+
+    // Validate stale marker configuration
+    if (config.stale_after !== undefined && config.stale_after !== null && !(Number(config.stale_after) > 0)) {
+      throw new Error(`Invalid stale_after "${config.stale_after}". Must be a positive number of minutes.`);
+    }
+
+    // Validate GPS accuracy configuration
+    if (config.max_gps_accuracy !== undefined && config.max_gps_accuracy !== null && !(Number(config.max_gps_accuracy) > 0)) {
+      throw new Error(`Invalid max_gps_accuracy "${config.max_gps_accuracy}". Must be a positive number of meters.`);
+    }
+
+    // Validate follow configuration
+    if (config.follow !== undefined && typeof config.follow !== 'string') {
+      throw new Error(`Invalid follow "${config.follow}". Must be an entity ID or 'all'.`);
+    }
+
+    // Validate map view configuration
+    if (config.fit_mode && !['markers', 'center', 'zone'].includes(config.fit_mode)) {
+      throw new Error(`Invalid fit_mode "${config.fit_mode}". Must be 'markers', 'center' or 'zone'.`);
+    }
+
+    if (config.center && !this._isLatLon(config.center) &&
+        !(typeof config.center === 'string' && config.center.startsWith('zone.'))) {
+      throw new Error('Invalid center. Must be [latitude, longitude] or a zone entity like zone.home.');
+    }
+
+    if (config.fit_mode === 'center' && !config.center) {
+      throw new Error('fit_mode "center" needs a center.');
+    }
+
+    ['min_zoom', 'max_zoom'].forEach(option => {
+      const zoom = config[option];
+      if (zoom !== undefined && zoom !== null && !(Number.isInteger(zoom) && zoom >= 0 && zoom <= 21)) {
+        throw new Error(`Invalid ${option} "${zoom}". Must be a whole number from 0 to 21.`);
+      }
+    });
+
+    if (Number.isInteger(config.min_zoom) && Number.isInteger(config.max_zoom) && config.min_zoom > config.max_zoom) {
+      throw new Error('min_zoom must not be larger than max_zoom.');
+    }
+
+    if (config.max_bounds && !(Array.isArray(config.max_bounds) && config.max_bounds.length === 2 &&
+        config.max_bounds.every(corner => this._isLatLon(corner)))) {
+      throw new Error('Invalid max_bounds. Must be [[south, west], [north, east]].');
+    }
+
+    // Validate marker actions
+    ['tap_action', 'hold_action', 'double_tap_action'].forEach(option => {
+      const action = config[option];
+      if (action != null && !(action && typeof action === 'object' && typeof action.action === 'string')) {
+        throw new Error(`Invalid ${option}. Must be an action like { action: more-info }.`);
+      }
+    });
+
+    // Validate render_mode configuration
+    if (config.render_mode && !['iframe', 'direct'].includes(config.render_mode)) {
+      throw new Error(`Invalid render_mode "${config.render_mode}". Must be either 'iframe' or 'direct'.`);
+    }
+
+    if (config.iframe_url !== undefined && typeof config.iframe_url !== 'string') {
+      throw new Error('Invalid iframe_url. Must be a URL or path to map-badge-v2.html.');
+    }
+
+    // Validate asset_base configuration; it becomes part of script and stylesheet URLs
+    if (config.asset_base !== undefined && !this._isValidAssetBase(config.asset_base)) {
+      throw new Error(`Invalid asset_base "${config.asset_base}". Must be 'cdn', 'local', an http(s) URL or a path.`);
+    }
+
     const mergedActivities = this._mergeActivities(config.activities);
+    const tiles = this._resolveTiles(config.tiles);
+    const darkTiles = this._resolveTiles(config.dark_tiles ?? this._getDefaultDarkTiles(tiles));
 
     this._config = {
       entities: config.entities,
       map_provider: config.map_provider || DEFAULT_CONFIG.map_provider,
       google_api_key: config.google_api_key || DEFAULT_CONFIG.google_api_key,
       map_type: config.map_type || DEFAULT_CONFIG.map_type,
+      tiles: tiles,
+      dark_tiles: darkTiles,
+      theme_mode: config.theme_mode || DEFAULT_CONFIG.theme_mode,
+      // Without its trailing slash; the map adds one when building asset URLs
+      asset_base: config.asset_base && config.asset_base.trim() ? config.asset_base.trim().replace(/\/+$/, '') || '/' : DEFAULT_CONFIG.asset_base,
+      render_mode: config.render_mode || DEFAULT_CONFIG.render_mode,
+      iframe_url: config.iframe_url || DEFAULT_CONFIG.iframe_url,
       default_zoom: config.default_zoom || DEFAULT_CONFIG.default_zoom,
       update_interval: config.update_interval || DEFAULT_CONFIG.update_interval,
+      update_throttle: Number(config.update_throttle) || DEFAULT_CONFIG.update_throttle,
+      units: config.units || DEFAULT_CONFIG.units,
+      distance_zone: config.distance_zone || DEFAULT_CONFIG.distance_zone,
+      show_distance_label: config.show_distance_label ?? DEFAULT_CONFIG.show_distance_label,
+      follow: config.follow || DEFAULT_CONFIG.follow,
+      stale_after: Number(config.stale_after) || DEFAULT_CONFIG.stale_after,
+      stale_badge: config.stale_badge ?? DEFAULT_CONFIG.stale_badge,
+      show_accuracy: config.show_accuracy ?? DEFAULT_CONFIG.show_accuracy,
+      max_gps_accuracy: Number(config.max_gps_accuracy) || DEFAULT_CONFIG.max_gps_accuracy,
+      fit_mode: config.fit_mode || DEFAULT_CONFIG.fit_mode,
+      center: config.center || DEFAULT_CONFIG.center,
+      min_zoom: config.min_zoom ?? DEFAULT_CONFIG.min_zoom,
+      max_zoom: config.max_zoom ?? DEFAULT_CONFIG.max_zoom,
+      max_bounds: config.max_bounds || DEFAULT_CONFIG.max_bounds,
+      tap_action: config.tap_action || DEFAULT_CONFIG.tap_action,
+      hold_action: config.hold_action || DEFAULT_CONFIG.hold_action,
+      double_tap_action: config.double_tap_action || DEFAULT_CONFIG.double_tap_action,
       marker_border_radius: config.marker_border_radius || DEFAULT_CONFIG.marker_border_radius,
       badge_border_radius: config.badge_border_radius || DEFAULT_CONFIG.badge_border_radius,
       marker_size: config.marker_size || DEFAULT_CONFIG.marker_size,
+      overlap_mode: config.overlap_mode || DEFAULT_CONFIG.overlap_mode,
       use_predicted_activity: config.use_predicted_activity || DEFAULT_CONFIG.use_predicted_activity,
       activity_source: config.activity_source || DEFAULT_CONFIG.activity_source,
       speed_source: config.speed_source || DEFAULT_CONFIG.speed_source,
       zones: config.zones || DEFAULT_CONFIG.zones,
+      show_zones: config.show_zones ?? DEFAULT_CONFIG.show_zones,
+      show_zone_labels: config.show_zone_labels ?? DEFAULT_CONFIG.show_zone_labels,
+      show_trails: config.show_trails ?? DEFAULT_CONFIG.show_trails,
+      trail_hours: Number(config.trail_hours) || DEFAULT_CONFIG.trail_hours,
+      trail_color: config.trail_color || DEFAULT_CONFIG.trail_color,
+      show_playback: config.show_playback ?? DEFAULT_CONFIG.show_playback,
       activities: mergedActivities,
       debug: config.debug || DEFAULT_CONFIG.debug
     };
@@ -51,6 +198,93 @@ export class ConfigManager {
     return this._config;
   }
 
+  /**
+   * Checks whether a value is a [latitude, longitude] pair
+   * @param {*} value - Value to check
+   * @returns {boolean} True for two numbers within latitude and longitude range
+   */
+  _isLatLon(value) {
+    return Array.isArray(value) && value.length === 2 &&
+      Number.isFinite(value[0]) && Math.abs(value[0]) <= 90 &&
+      Number.isFinite(value[1]) && Math.abs(value[1]) <= 180;
+  }
+
+  /**
+   * Checks whether the map needs zone positions to place its view
+   * @returns {boolean} True if the view is centered on or fitted to a zone
+   */
+  usesZoneView() {
+    return typeof this._config.center === 'string' || this._config.fit_mode === 'zone';
+  }
+
+  /**
+   * Checks an asset_base value before it is used to load scripts
+   * @param {*} value - Configured asset_base
+   * @returns {boolean} True for 'cdn', 'local', an http(s) URL, a relative path or empty (the default)
+   */
+  _isValidAssetBase(value) {
+    if (typeof value !== 'string') return false;
+
+    const base = value.trim();
+    if (!base) return true;
+    if (base === 'cdn' || base === 'local' || /^https?:\/\//i.test(base)) return true;
+
+    // Paths only: no other schemes (javascript:, data:) and no protocol-relative hosts
+    return !/^[a-z][a-z\d+.-]*:/i.test(base) && !base.startsWith('//');
+  }
+
+  /**
+   * Resolves the tiles option into a complete tile layer definition
+   * @param {string|Object} tiles - Preset name or custom tile layer settings
+   * @returns {Object} Tile layer with preset, url, subdomains, attribution and max_zoom
+   * @throws {Error} If the preset is unknown or a custom layer has no URL template
+   */
+  _resolveTiles(tiles) {
+    const userTiles = typeof tiles === 'string' ? { preset: tiles } : (tiles || {});
+    const presetName = userTiles.preset || (userTiles.url ? 'custom' : DEFAULT_CONFIG.tiles);
+
+    if (presetName === 'custom') {
+      if (!userTiles.url) {
+        throw new Error('Custom tiles need a url template, e.g. https://{s}.example.com/{z}/{x}/{y}.png');
+      }
+
+      return {
+        preset: 'custom',
+        url: userTiles.url,
+        subdomains: userTiles.subdomains ?? 'abc',
+        attribution: userTiles.attribution || '',
+        max_zoom: Number(userTiles.max_zoom) || 19
+      };
+    }
+
+    const preset = TILE_PRESETS[presetName];
+    if (!preset) {
+      throw new Error(`Invalid tiles preset "${presetName}". Must be one of: ${Object.keys(TILE_PRESETS).join(', ')}, custom.`);
+    }
+
+    // Presets can still be tweaked, e.g. a lower max_zoom
+    return {
+      preset: presetName,
+      url: preset.url,
+      subdomains: userTiles.subdomains ?? preset.subdomains,
+      attribution: userTiles.attribution || preset.attribution,
+      max_zoom: Number(userTiles.max_zoom) || preset.max_zoom
+    };
+  }
+
+  /**
+   * Picks the dark mode tile layer when none is configured
+   * @param {Object} tiles - Resolved light tile layer
+   * @returns {string|Object} Dark preset for the standard styles, otherwise the light layer itself
+   */
+  _getDefaultDarkTiles(tiles) {
+    // Imagery, topo and custom servers have no dark variant, so keep them as they are
+    if (['osm', 'carto_light'].includes(tiles.preset)) {
+      return 'carto_dark';
+    }
+    return tiles.preset === 'custom' ? tiles : tiles.preset;
+  }
+
   /**
    * Merges user activity colors with default activity icons and names
    * @param {Object} userActivities - User-provided activity configurations
@@ -96,9 +330,10 @@ export class ConfigManager {
 
   /**
    * Builds URL parameters for the iframe
+   * @param {string} [language] - Language for map controls and popups
    * @returns {URLSearchParams} URL parameters
    */
-  buildIframeParams() {
+  buildIframeParams(language) {
     if (!this._config) {
       throw new Error('Configuration not set');
     }
@@ -107,11 +342,31 @@ export class ConfigManager {
       provider: this._config.map_provider,
       apikey: this._config.google_api_key || '',
       maptype: this._config.map_type,
+      assets: this._config.asset_base,
+      tile_url: this._config.tiles.url,
+      tile_subdomains: this._config.tiles.subdomains,
+      tile_attribution: this._config.tiles.attribution,
+      tile_max_zoom: this._config.tiles.max_zoom,
+      dark_tile_url: this._config.dark_tiles.url,
+      dark_tile_subdomains: this._config.dark_tiles.subdomains,
+      dark_tile_attribution: this._config.dark_tiles.attribution,
+      dark_tile_max_zoom: this._config.dark_tiles.max_zoom,
       zoom: this._config.default_zoom,
+      interval: this._config.update_interval,
+      follow: this._config.follow,
       mode: 'proxy',
       activity_source: this._config.activity_source,
       speed_source: this._config.speed_source,
-      debug: this._config.debug ? '1' : '0'
+      debug: this._config.debug ? '1' : '0',
+      show_zones: this._config.show_zones ? '1' : '0',
+      zone_labels: this._config.show_zone_labels ? '1' : '0',
+      show_trails: this._config.show_trails ? '1' : '0',
+      trail_color: this._config.trail_color,
+      playback: this._config.show_playback ? '1' : '0',
+      overlap: this._config.overlap_mode,
+      distance_label: this._config.show_distance_label ? '1' : '0',
+      stale_badge: this._config.stale_badge ? '1' : '0',
+      accuracy: this._config.show_accuracy ? '1' : '0'
     });
 
     // Add entities
@@ -127,6 +382,21 @@ export class ConfigManager {
       .join(',');
     params.append('entities', entitiesParam);
 
+    // Add marker interactions that run a Home Assistant action instead of opening the popup
+    const actions = ['tap', 'hold', 'double_tap'].filter(action => this._config[`${action}_action`]);
+    params.append('actions', actions.join(','));
+
+    // Add map view limits (only when set, the map falls back to its tile layer's limits)
+    params.append('fit_mode', this._config.fit_mode);
+    if (this._config.center) {
+      params.append('center', Array.isArray(this._config.center) ? this._config.center.join(',') : this._config.center);
+    }
+    if (this._config.min_zoom !== null) params.append('min_zoom', this._config.min_zoom);
+    if (this._config.max_zoom !== null) params.append('max_zoom', this._config.max_zoom);
+    if (this._config.max_bounds) {
+      params.append('max_bounds', this._config.max_bounds.flat().join(','));
+    }
+
     // Add zones (only colors)
     const zonesParam = Object.entries(this._config.zones)
       .map(([state, config]) => `${state}:${encodeURIComponent(config.color)}`)
@@ -144,9 +414,36 @@ export class ConfigManager {
     params.append('badge_radius', encodeURIComponent(this._config.badge_border_radius));
     params.append('marker_size', encodeURIComponent(this._config.marker_size));
 
+    if (language) {
+      params.append('lang', language);
+    }
+
     return params;
   }
 
+  /**
+   * Builds the full iframe URL including parameters
+   * @param {string} baseUrl - Folder the card module was loaded from
+   * @param {string} [language] - Language for map controls and popups
+   * @param {string} [channel] - Channel ID the page stamps on its messages
+   * @param {string} [token] - Secret the page stamps on its messages
+   * @returns {string} Absolute iframe URL
+   */
+  buildIframeUrl(baseUrl, language, channel, token) {
+    // Relative overrides resolve against the card folder, like the default page
+    const url = new URL(this._config.iframe_url || 'map-badge-v2.html', baseUrl);
+    this.buildIframeParams(language).forEach((value, key) => url.searchParams.set(key, value));
+    if (channel) {
+      url.searchParams.set('channel', channel);
+    }
+
+    // The fragment is never sent to the server, so the token stays out of request logs
+    if (token) {
+      url.hash = new URLSearchParams({ token: token, origin: window.location.origin }).toString();
+    }
+    return url.href;
+  }
+
   /**
    * Gets a stub configuration for initial setup
    * @returns {Object} Stub configuration
@@ -57,6 +57,57 @@ export const SPEED_SOURCE_OPTIONS = {
   sensor: 'Direct from speed sensor'
 };
 
+/**
+ * Tile layer presets for OpenStreetMap-style (Leaflet) maps
+ */
+export const TILE_PRESETS = {
+  osm: {
+    name: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    attribution: '© OpenStreetMap contributors',
+    max_zoom: 19
+  },
+  carto_light: {
+    name: 'CARTO Light',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    attribution: '© OpenStreetMap contributors © CARTO',
+    max_zoom: 20
+  },
+  carto_dark: {
+    name: 'CARTO Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    attribution: '© OpenStreetMap contributors © CARTO',
+    max_zoom: 20
+  },
+  opentopomap: {
+    name: 'OpenTopoMap',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    attribution: '© OpenStreetMap contributors, SRTM | Style: © OpenTopoMap (CC-BY-SA)',
+    max_zoom: 17
+  },
+  esri_imagery: {
+    name: 'Esri World Imagery',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    subdomains: '',
+    attribution: 'Tiles © Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    max_zoom: 19
+  }
+};
+
+/**
+ * Entity domains that can be tracked on the map, with the marker icon used
+ * when an entity has neither a picture nor an icon of its own
+ */
+export const TRACKABLE_DOMAINS = {
+  person: { icon: 'mdi:account' },
+  device_tracker: { icon: 'mdi:crosshairs-gps' },
+  sensor: { icon: 'mdi:map-marker' }
+};
+
 /**
  * Default zone configurations
  */
@@ -73,15 +124,44 @@ export const DEFAULT_CONFIG = {
   map_provider: 'osm',
   google_api_key: '',
   map_type: 'hybrid',
+  tiles: 'osm', // preset name from TILE_PRESETS or { url, subdomains, attribution, max_zoom }
+  theme_mode: 'auto', // 'auto' (follow Home Assistant), 'light' or 'dark'
+  asset_base: 'cdn', // 'cdn', 'local' (card folder) or a folder URL holding Leaflet and MDI
+  render_mode: 'iframe', // 'iframe' or 'direct' (rendered inside the card, OpenStreetMap only)
+  iframe_url: '', // Empty uses map-badge-v2.html next to the card module
   default_zoom: 13,
   update_interval: 10, // in seconds
+  update_throttle: 0, // minimum seconds between updates, 0 pushes every change immediately
+  units: 'auto', // 'auto' (Home Assistant unit system), 'metric' or 'imperial'
+  distance_zone: 'zone.home', // reference zone for distance and ETA
+  show_distance_label: false, // distance label under each marker
+  follow: '', // entity ID to keep centered, 'all' to keep every marker in view
+  stale_after: null, // minutes without a location update before a marker is shown as stale
+  stale_badge: false, // warning badge on stale markers
+  show_accuracy: true, // GPS accuracy circle around each marker
+  max_gps_accuracy: null, // meters; less accurate updates keep the previous position
+  fit_mode: 'markers', // initial view and Recenter: 'markers', 'center' or 'zone'
+  center: null, // [latitude, longitude] or a zone entity ID
+  min_zoom: null,
+  max_zoom: null,
+  max_bounds: null, // [[south, west], [north, east]]
+  tap_action: null, // Lovelace action; without one a tap opens the popup
+  hold_action: null,
+  double_tap_action: null,
   marker_border_radius: '50%',
   badge_border_radius: '50%',
   marker_size: 'medium',
+  overlap_mode: 'spiderfy', // 'spiderfy', 'group' or 'none'
   use_predicted_activity: false,
   activity_source: 'sensor',
   speed_source: 'calculated', // 'calculated' or 'sensor' - maintains backward compatibility
   debug: false,
+  show_zones: false,
+  show_zone_labels: true,
+  show_trails: false,
+  trail_hours: 6,
+  trail_color: 'zone', // 'zone' or 'activity'
+  show_playback: false,
   zones: DEFAULT_ZONES,
   activities: {}
 };
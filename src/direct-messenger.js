@@ -0,0 +1,62 @@
+import { MapMessenger } from './map-messenger.js';
+
+/**
+ * Handles communication with a map view rendered inside the card (direct rendering mode).
+ * Messages are the same as in iframe mode, but are handed over with plain function calls.
+ */
+export class DirectMessenger extends MapMessenger {
+  constructor(debugMode = false) {
+    super(debugMode);
+    this._view = null;
+    this._listening = false;
+  }
+
+  /**
+   * Sets the map view created by createMapView
+   * @param {Object} view - Map view
+   */
+  setView(view) {
+    this._view = view;
+    this.reset();
+  }
+
+  /**
+   * Receives a message posted by the map view
+   * @param {Object} message - Message from the view
+   */
+  receive(message) {
+    if (!this._listening) return;
+    this._handleMessage(message);
+  }
+
+  /**
+   * Starts accepting messages from the view
+   */
+  startListening() {
+    this._listening = true;
+  }
+
+  /**
+   * Stops accepting messages from the view
+   */
+  stopListening() {
+    this._listening = false;
+  }
+
+  /**
+   * Checks whether the view can receive messages
+   * @returns {boolean} True if a view is set
+   */
+  _canPost() {
+    return !!this._view;
+  }
+
+  /**
+   * Hands a message to the view
+   * @param {Object} message - Message to deliver
+   */
+  _post(message) {
+    // Copy like postMessage does, so the view never shares objects with the card
+    this._view.handleMessage(structuredClone(message));
+  }
+}
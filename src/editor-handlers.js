@@ -1,3 +1,5 @@
+import { TILE_PRESETS } from './constants.js';
+
 /**
  * Handles event listeners for the configuration editor
  */
@@ -12,17 +14,22 @@ export class EditorHandlers {
   static attachListeners(element, config, onChange, onRender) {
     this._attachMapProviderListeners(element, config, onChange);
     this._attachBasicConfigListeners(element, config, onChange);
+    this._attachViewListeners(element, config, onChange);
     this._attachBorderRadiusListeners(element, config, onChange);
     this._attachMarkerSizeListener(element, config, onChange);
+    this._attachAccuracyListeners(element, config, onChange);
+    this._attachThemeListener(element, config, onChange);
     this._attachActivitySourceListener(element, config, onChange);
     this._attachSpeedSourceListener(element, config, onChange);
     this._attachEntityListeners(element, config, onChange, onRender);
     this._attachZoneListeners(element, config, onChange, onRender);
+    this._attachZoneDisplayListeners(element, config, onChange);
+    this._attachHistoryListeners(element, config, onChange);
     this._attachActivityListeners(element, config, onChange);
   }
 
   /**
-   * Attaches marker size listener
+   * Attaches marker size and overlap mode listeners
    * @param {HTMLElement} element - Root element
    * @param {Object} config - Configuration object
    * @param {Function} onChange - Callback when config changes
@@ -32,6 +39,52 @@ export class EditorHandlers {
       config.marker_size = e.target.value;
       onChange();
     });
+
+    element.querySelector('#overlap_mode')?.addEventListener('selected', (e) => {
+      config.overlap_mode = e.target.value;
+      onChange();
+    });
+  }
+
+  /**
+   * Attaches GPS accuracy circle and filter listeners
+   * @param {HTMLElement} element - Root element
+   * @param {Object} config - Configuration object
+   * @param {Function} onChange - Callback when config changes
+   */
+  static _attachAccuracyListeners(element, config, onChange) {
+    element.querySelector('#show_accuracy')?.addEventListener('change', (e) => {
+      config.show_accuracy = e.target.checked;
+      onChange();
+    });
+
+    element.querySelector('#max_gps_accuracy')?.addEventListener('change', (e) => {
+      const meters = parseFloat(e.target.value);
+      if (meters > 0) {
+        config.max_gps_accuracy = meters;
+      } else {
+        delete config.max_gps_accuracy;
+      }
+      onChange();
+    });
+  }
+
+  /**
+   * Attaches theme mode and units listeners
+   * @param {HTMLElement} element - Root element
+   * @param {Object} config - Configuration object
+   * @param {Function} onChange - Callback when config changes
+   */
+  static _attachThemeListener(element, config, onChange) {
+    element.querySelector('#theme_mode')?.addEventListener('selected', (e) => {
+      config.theme_mode = e.target.value;
+      onChange();
+    });
+
+    element.querySelector('#units')?.addEventListener('selected', (e) => {
+      config.units = e.target.value;
+      onChange();
+    });
   }
 
   /**
@@ -78,9 +131,26 @@ export class EditorHandlers {
       if (googleApiKeyRow) googleApiKeyRow.style.display = display;
       if (mapTypeRow) mapTypeRow.style.display = display;
 
+      // Tile styles only apply to OpenStreetMap
+      const tilesRow = element.querySelector('#tiles-row');
+      const darkTilesRow = element.querySelector('#dark-tiles-row');
+      const customTilesRow = element.querySelector('#custom-tiles-row');
+      const isCustom = element.querySelector('#tiles_preset')?.value === 'custom';
+
+      if (tilesRow) tilesRow.style.display = display === 'block' ? 'none' : 'block';
+      if (darkTilesRow) darkTilesRow.style.display = display === 'block' ? 'none' : 'block';
+      if (customTilesRow) customTilesRow.style.display = display === 'none' && isCustom ? 'block' : 'none';
+
+      onChange();
+    });
+
+    element.querySelector('#render_mode')?.addEventListener('selected', (e) => {
+      config.render_mode = e.target.value;
       onChange();
     });
 
+    this._attachTilesListeners(element, config, onChange);
+
     // Toggle API key visibility
     element.querySelector('#toggle-api-key-visibility')?.addEventListener('click', (e) => {
       const apiKeyField = element.querySelector('#google_api_key');
@@ -94,6 +164,62 @@ export class EditorHandlers {
     });
   }
 
+  /**
+   * Attaches tile style listeners
+   * @param {HTMLElement} element - Root element
+   * @param {Object} config - Configuration object
+   * @param {Function} onChange - Callback when config changes
+   */
+  static _attachTilesListeners(element, config, onChange) {
+    element.querySelector('#tiles_preset')?.addEventListener('selected', (e) => {
+      const value = e.target.value;
+      const customTilesRow = element.querySelector('#custom-tiles-row');
+
+      if (value === 'custom') {
+        // Start the custom layer from the previously selected preset
+        if (typeof config.tiles !== 'object' || !config.tiles || (config.tiles.preset && config.tiles.preset !== 'custom')) {
+          const previous = TILE_PRESETS[typeof config.tiles === 'string' ? config.tiles : 'osm'] || TILE_PRESETS.osm;
+          config.tiles = {
+            url: previous.url,
+            subdomains: previous.subdomains,
+            attribution: previous.attribution,
+            max_zoom: previous.max_zoom
+          };
+        }
+      } else {
+        config.tiles = value;
+      }
+
+      if (customTilesRow) customTilesRow.style.display = value === 'custom' ? 'block' : 'none';
+      onChange();
+    });
+
+    element.querySelector('#dark_tiles_preset')?.addEventListener('selected', (e) => {
+      if (e.target.value === 'auto') {
+        delete config.dark_tiles;
+      } else {
+        config.dark_tiles = e.target.value;
+      }
+      onChange();
+    });
+
+    const customFields = {
+      '#tiles_url': 'url',
+      '#tiles_subdomains': 'subdomains',
+      '#tiles_attribution': 'attribution',
+      '#tiles_max_zoom': 'max_zoom'
+    };
+
+    Object.entries(customFields).forEach(([selector, field]) => {
+      element.querySelector(selector)?.addEventListener('change', (e) => {
+        const tiles = typeof config.tiles === 'object' && config.tiles ? config.tiles : {};
+        const value = field === 'max_zoom' ? parseInt(e.target.value) : e.target.value;
+        config.tiles = { ...tiles, [field]: value };
+        onChange();
+      });
+    });
+  }
+
   /**
    * Attaches basic config listeners (API key, map type, zoom, etc.)
    * @param {HTMLElement} element - Root element
@@ -120,6 +246,83 @@ export class EditorHandlers {
       config.update_interval = parseInt(e.target.value);
       onChange();
     });
+
+    element.querySelector('#update_throttle')?.addEventListener('change', (e) => {
+      const seconds = parseFloat(e.target.value);
+      if (seconds > 0) {
+        config.update_throttle = seconds;
+      } else {
+        delete config.update_throttle;
+      }
+      onChange();
+    });
+
+    element.querySelector('#follow')?.addEventListener('selected', (e) => {
+      config.follow = e.target.value;
+      onChange();
+    });
+
+    element.querySelector('#stale_after')?.addEventListener('change', (e) => {
+      const minutes = parseFloat(e.target.value);
+      if (minutes > 0) {
+        config.stale_after = minutes;
+      } else {
+        delete config.stale_after;
+      }
+      onChange();
+    });
+
+    element.querySelector('#stale_badge')?.addEventListener('change', (e) => {
+      config.stale_badge = e.target.checked;
+      onChange();
+    });
+  }
+
+  /**
+   * Attaches map view listeners (initial view, zoom limits and max bounds)
+   * @param {HTMLElement} element - Root element
+   * @param {Object} config - Configuration object
+   * @param {Function} onChange - Callback when config changes
+   */
+  static _attachViewListeners(element, config, onChange) {
+    // Numbers typed into the editor, or the raw text so validation can point out typos
+    const parseNumbers = (value, count) => {
+      const numbers = value.split(',').map(part => parseFloat(part));
+      return numbers.length === count && numbers.every(Number.isFinite) ? numbers : value;
+    };
+
+    const setOrDelete = (key, value) => {
+      if (value === '' || value === null) {
+        delete config[key];
+      } else {
+        config[key] = value;
+      }
+    };
+
+    element.querySelector('#fit_mode')?.addEventListener('selected', (e) => {
+      config.fit_mode = e.target.value;
+      onChange();
+    });
+
+    element.querySelector('#center')?.addEventListener('change', (e) => {
+      const value = e.target.value.trim();
+      setOrDelete('center', value.startsWith('zone.') ? value : value && parseNumbers(value, 2));
+      onChange();
+    });
+
+    ['min_zoom', 'max_zoom'].forEach(key => {
+      element.querySelector(`#${key}`)?.addEventListener('change', (e) => {
+        setOrDelete(key, e.target.value === '' ? '' : parseInt(e.target.value));
+        onChange();
+      });
+    });
+
+    element.querySelector('#max_bounds')?.addEventListener('change', (e) => {
+      const value = e.target.value.trim();
+      const numbers = value && parseNumbers(value, 4);
+      setOrDelete('max_bounds', Array.isArray(numbers) ? [numbers.slice(0, 2), numbers.slice(2)] : numbers);
+      onChange();
+    });
   }
 
   /**
@@ -171,7 +374,27 @@ export class EditorHandlers {
         const field = e.target.dataset.entityField;
 
         if (idx < config.entities.length) {
-          config.entities[idx][field] = e.target.value || '';
+          if (field === 'extra_entities') {
+            // Comma separated list in the editor, a list in the config (keeping { entity, name, icon } entries)
+            const existing = config.entities[idx].extra_entities || [];
+            const extras = e.target.value.split(',').map(id => id.trim()).filter(Boolean)
+              .map(id => existing.find(extra => typeof extra === 'object' && extra.entity === id) || id);
+            if (extras.length > 0) {
+              config.entities[idx].extra_entities = extras;
+            } else {
+              delete config.entities[idx].extra_entities;
+            }
+          } else if (field === 'image') {
+            // An empty image falls back to the entity picture, so leave the option out
+            const image = e.target.value.trim();
+            if (image) {
+              config.entities[idx].image = image;
+            } else {
+              delete config.entities[idx].image;
+            }
+          } else {
+            config.entities[idx][field] = e.target.value || '';
+          }
           onChange();
         }
       });
@@ -263,6 +486,67 @@ export class EditorHandlers {
     });
   }
 
+  /**
+   * Attaches zone overlay toggle listeners
+   * @param {HTMLElement} element - Root element
+   * @param {Object} config - Configuration object
+   * @param {Function} onChange - Callback when config changes
+   */
+  static _attachZoneDisplayListeners(element, config, onChange) {
+    element.querySelector('#show_zones')?.addEventListener('change', (e) => {
+      config.show_zones = e.target.checked;
+      onChange();
+    });
+
+    element.querySelector('#show_zone_labels')?.addEventListener('change', (e) => {
+      config.show_zone_labels = e.target.checked;
+      onChange();
+    });
+
+    element.querySelector('#distance_zone')?.addEventListener('change', (e) => {
+      config.distance_zone = e.target.value.trim() || 'zone.home';
+      onChange();
+    });
+
+    element.querySelector('#show_distance_label')?.addEventListener('change', (e) => {
+      config.show_distance_label = e.target.checked;
+      onChange();
+    });
+  }
+
+  /**
+   * Attaches location history (trails and playback) listeners
+   * @param {HTMLElement} element - Root element
+   * @param {Object} config - Configuration object
+   * @param {Function} onChange - Callback when config changes
+   */
+  static _attachHistoryListeners(element, config, onChange) {
+    element.querySelector('#show_trails')?.addEventListener('change', (e) => {
+      config.show_trails = e.target.checked;
+      onChange();
+    });
+
+    element.querySelector('#trail_hours')?.addEventListener('change', (e) => {
+      const hours = parseFloat(e.target.value);
+      if (hours > 0) {
+        config.trail_hours = hours;
+      } else {
+        delete config.trail_hours;
+      }
+      onChange();
+    });
+
+    element.querySelector('#trail_color')?.addEventListener('selected', (e) => {
+      config.trail_color = e.target.value;
+      onChange();
+    });
+
+    element.querySelector('#show_playback')?.addEventListener('change', (e) => {
+      config.show_playback = e.target.checked;
+      onChange();
+    });
+  }
+
   /**
    * Attaches activity listeners
    * @param {HTMLElement} element - Root element
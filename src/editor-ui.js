@@ -1,4 +1,5 @@
-import { HIDDEN_ACTIVITIES } from './constants.js';
+import { HIDDEN_ACTIVITIES, TILE_PRESETS, TRACKABLE_DOMAINS } from './constants.js';
+import { createTranslator, getLanguage, localizeActivity } from './localize.js';
 
 /**
  * Generates HTML for the configuration editor
@@ -11,23 +12,27 @@ export class EditorUI {
    * @returns {string} HTML string
    */
   static generateHTML(config, hass) {
-    const entitiesHtml = this._generateEntitiesHTML(config, hass);
-    const zonesHtml = this._generateZonesHTML(config);
-    const activitiesHtml = this._generateActivitiesHTML(config);
+    const language = getLanguage(hass);
+    const t = createTranslator(language);
+    const entitiesHtml = this._generateEntitiesHTML(config, t);
+    const zonesHtml = this._generateZonesHTML(config, t);
+    const activitiesHtml = this._generateActivitiesHTML(config, t, language);
     const datalists = this._generateDatalistsHTML(hass);
 
     return `
       ${this._generateStyles()}
       <div class="config-container">
         <div class="config-header">
-          Map Badge Card Configuration
+          ${t('editor.title')}
         </div>
 
-        ${this._generateMapProviderSection(config)}
-        ${this._generateAppearanceSection(config)}
-        ${this._generateEntitiesSection(entitiesHtml, datalists)}
-        ${this._generateZonesSection(zonesHtml)}
-        ${this._generateActivitiesSection(activitiesHtml)}
+        ${this._generateMapProviderSection(config, t)}
+        ${this._generateViewSection(config, t)}
+        ${this._generateAppearanceSection(config, t)}
+        ${this._generateEntitiesSection(entitiesHtml, datalists, t)}
+        ${this._generateZonesSection(zonesHtml, config, t)}
+        ${this._generateHistorySection(config, t)}
+        ${this._generateActivitiesSection(activitiesHtml, t)}
       </div>
     `;
   }
@@ -226,32 +231,101 @@ export class EditorUI {
   /**
    * Generates map provider section HTML
    * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateMapProviderSection(config) {
+  static _generateMapProviderSection(config, t) {
     const googleFieldsDisplay = config.map_provider === 'google' ? 'block' : 'none';
+    const tilesPreset = this._getTilesPreset(config.tiles);
+    const customTiles = typeof config.tiles === 'object' && config.tiles ? config.tiles : {};
+    const tilesDisplay = config.map_provider === 'google' ? 'none' : 'block';
+    const customTilesDisplay = tilesDisplay === 'block' && tilesPreset === 'custom' ? 'block' : 'none';
 
     return `
       <div class="config-section">
         <div class="config-section-header">
-          Map Provider Settings
+          ${t('editor.provider.header')}
         </div>
         <div class="config-row">
           <ha-select
             id="map_provider"
-            label="Map Provider"
+            label="${t('editor.provider.map_provider')}"
             value="${config.map_provider || 'osm'}">
-            <mwc-list-item value="osm">OpenStreetMap (No API Key Required)</mwc-list-item>
+            <mwc-list-item value="osm">${t('editor.provider.osm')}</mwc-list-item>
             <mwc-list-item value="google">Google Maps</mwc-list-item>
           </ha-select>
-          <div class="config-note">OpenStreetMap is free and requires no authentication</div>
+          <div class="config-note">${t('editor.provider.osm_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-select
+            id="render_mode"
+            label="${t('editor.provider.rendering')}"
+            value="${config.render_mode || 'iframe'}">
+            <mwc-list-item value="iframe">${t('editor.provider.iframe')}</mwc-list-item>
+            <mwc-list-item value="direct">${t('editor.provider.direct')}</mwc-list-item>
+          </ha-select>
+          <div class="config-note">${t('editor.provider.rendering_note')}</div>
+        </div>
+
+        <div class="config-row" id="tiles-row" style="display: ${tilesDisplay}">
+          <ha-select
+            id="tiles_preset"
+            label="${t('editor.provider.map_style')}"
+            value="${tilesPreset}">
+            ${Object.entries(TILE_PRESETS).map(([key, preset]) =>
+              `<mwc-list-item value="${key}">${preset.name}</mwc-list-item>`
+            ).join('')}
+            <mwc-list-item value="custom">${t('editor.provider.custom_tiles')}</mwc-list-item>
+          </ha-select>
+        </div>
+
+        <div class="config-row" id="dark-tiles-row" style="display: ${tilesDisplay}">
+          <ha-select
+            id="dark_tiles_preset"
+            label="${t('editor.provider.dark_map_style')}"
+            value="${typeof config.dark_tiles === 'string' ? config.dark_tiles : 'auto'}">
+            <mwc-list-item value="auto">${t('editor.provider.automatic')}</mwc-list-item>
+            ${Object.entries(TILE_PRESETS).map(([key, preset]) =>
+              `<mwc-list-item value="${key}">${preset.name}</mwc-list-item>`
+            ).join('')}
+          </ha-select>
+          <div class="config-note">${t('editor.provider.dark_map_style_note')}</div>
+        </div>
+
+        <div class="config-row" id="custom-tiles-row" style="display: ${customTilesDisplay}">
+          <ha-textfield
+            id="tiles_url"
+            label="${t('editor.provider.tile_url')}"
+            value="${customTiles.url || ''}"
+            placeholder="https://{s}.tile.example.com/{z}/{x}/{y}.png">
+          </ha-textfield>
+          <ha-textfield
+            id="tiles_subdomains"
+            label="${t('editor.provider.subdomains')}"
+            value="${customTiles.subdomains ?? 'abc'}">
+          </ha-textfield>
+          <ha-textfield
+            id="tiles_attribution"
+            label="${t('editor.provider.attribution')}"
+            value="${customTiles.attribution || ''}">
+          </ha-textfield>
+          <ha-textfield
+            id="tiles_max_zoom"
+            label="${t('editor.provider.max_zoom')}"
+            value="${customTiles.max_zoom || 19}"
+            type="number"
+            min="1"
+            max="22">
+          </ha-textfield>
+          <div class="config-note">${t('editor.provider.tile_url_note')}</div>
         </div>
 
         <div class="config-row" id="google-api-key-row" style="display: ${googleFieldsDisplay}">
           <div style="position: relative;">
             <ha-textfield
               id="google_api_key"
-              label="Google API Key"
+              label="${t('editor.provider.api_key')}"
               value="${config.google_api_key || ''}"
               placeholder="AIzaSy..."
               type="password">
@@ -262,43 +336,167 @@ export class EditorUI {
               <ha-icon icon="mdi:eye"></ha-icon>
             </ha-icon-button>
           </div>
-          <div class="config-note">Required only for Google Maps - Get your API key from Google Cloud Console</div>
+          <div class="config-note">${t('editor.provider.api_key_note')}</div>
         </div>
 
         <div class="config-row" id="map-type-row" style="display: ${googleFieldsDisplay}">
           <ha-select
             id="map_type"
-            label="Map Type"
+            label="${t('editor.provider.map_type')}"
             value="${config.map_type || 'hybrid'}">
-            <mwc-list-item value="hybrid">Hybrid</mwc-list-item>
-            <mwc-list-item value="satellite">Satellite</mwc-list-item>
-            <mwc-list-item value="roadmap">Roadmap</mwc-list-item>
-            <mwc-list-item value="terrain">Terrain</mwc-list-item>
+            <mwc-list-item value="hybrid">${t('editor.provider.hybrid')}</mwc-list-item>
+            <mwc-list-item value="satellite">${t('editor.provider.satellite')}</mwc-list-item>
+            <mwc-list-item value="roadmap">${t('editor.provider.roadmap')}</mwc-list-item>
+            <mwc-list-item value="terrain">${t('editor.provider.terrain')}</mwc-list-item>
           </ha-select>
-          <div class="config-note">Map type (Google Maps only)</div>
+          <div class="config-note">${t('editor.provider.map_type_note')}</div>
         </div>
 
         <div class="config-row">
           <ha-textfield
             id="default_zoom"
-            label="Default Zoom"
+            label="${t('editor.provider.default_zoom')}"
             value="${config.default_zoom || 13}"
             type="number"
             min="1"
             max="21">
           </ha-textfield>
-          <div class="config-note">1 = World view, 21 = Maximum zoom</div>
+          <div class="config-note">${t('editor.provider.default_zoom_note')}</div>
         </div>
 
         <div class="config-row">
           <ha-textfield
             id="update_interval"
-            label="Update Interval (seconds)"
+            label="${t('editor.provider.update_interval')}"
             value="${config.update_interval || 10}"
             type="number"
             min="1">
           </ha-textfield>
-          <div class="config-note">How often to refresh location data</div>
+          <div class="config-note">${t('editor.provider.update_interval_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-textfield
+            id="update_throttle"
+            label="${t('editor.provider.update_throttle')}"
+            value="${config.update_throttle || 0}"
+            type="number"
+            min="0">
+          </ha-textfield>
+          <div class="config-note">${t('editor.provider.update_throttle_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-select
+            id="follow"
+            label="${t('editor.provider.follow')}"
+            value="${config.follow || ''}">
+            <mwc-list-item value="">${t('editor.provider.follow_off')}</mwc-list-item>
+            <mwc-list-item value="all">${t('editor.provider.follow_all')}</mwc-list-item>
+            ${(config.entities || []).filter(entity => entity.person).map(entity => `
+              <mwc-list-item value="${entity.person}">${entity.person}</mwc-list-item>
+            `).join('')}
+          </ha-select>
+          <div class="config-note">${t('editor.provider.follow_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-textfield
+            id="stale_after"
+            label="${t('editor.provider.stale_after')}"
+            value="${config.stale_after || ''}"
+            type="number"
+            min="1">
+          </ha-textfield>
+          <div class="config-note">${t('editor.provider.stale_after_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-formfield label="${t('editor.provider.stale_badge')}">
+            <ha-switch id="stale_badge" ${config.stale_badge ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Gets the tile preset name selected in a tiles option
+   * @param {string|Object} tiles - Preset name or custom tile layer settings
+   * @returns {string} Preset name, or 'custom'
+   */
+  static _getTilesPreset(tiles) {
+    if (typeof tiles === 'string') return tiles;
+    if (tiles && tiles.preset) return tiles.preset;
+    return tiles && tiles.url ? 'custom' : 'osm';
+  }
+
+  /**
+   * Generates map view (initial view and limits) section HTML
+   * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
+   * @returns {string} HTML string
+   */
+  static _generateViewSection(config, t) {
+    const center = Array.isArray(config.center) ? config.center.join(', ') : (config.center || '');
+    const maxBounds = Array.isArray(config.max_bounds) ? config.max_bounds.flat().join(', ') : '';
+
+    return `
+      <div class="config-section">
+        <div class="config-section-header">
+          ${t('editor.view.header')}
+        </div>
+        <div class="config-row">
+          <ha-select
+            id="fit_mode"
+            label="${t('editor.view.initial_view')}"
+            value="${config.fit_mode || 'markers'}">
+            <mwc-list-item value="markers">${t('editor.view.fit_markers')}</mwc-list-item>
+            <mwc-list-item value="center">${t('editor.view.center')}</mwc-list-item>
+            <mwc-list-item value="zone">${t('editor.view.zone')}</mwc-list-item>
+          </ha-select>
+          <div class="config-note">${t('editor.view.initial_view_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-textfield
+            id="center"
+            label="${t('editor.view.center')}"
+            value="${center}"
+            placeholder="52.52, 13.40 or zone.home">
+          </ha-textfield>
+          <div class="config-note">${t('editor.view.center_note')}</div>
+        </div>
+
+        <div class="config-row" style="display: flex; gap: 8px;">
+          <ha-textfield
+            id="min_zoom"
+            label="${t('editor.view.min_zoom')}"
+            value="${config.min_zoom ?? ''}"
+            type="number"
+            min="0"
+            max="21"
+            style="flex: 1;">
+          </ha-textfield>
+          <ha-textfield
+            id="max_zoom"
+            label="${t('editor.provider.max_zoom')}"
+            value="${config.max_zoom ?? ''}"
+            type="number"
+            min="0"
+            max="21"
+            style="flex: 1;">
+          </ha-textfield>
+        </div>
+
+        <div class="config-row">
+          <ha-textfield
+            id="max_bounds"
+            label="${t('editor.view.max_bounds')}"
+            value="${maxBounds}"
+            placeholder="south, west, north, east">
+          </ha-textfield>
+          <div class="config-note">${t('editor.view.max_bounds_note')}</div>
         </div>
       </div>
     `;
@@ -307,17 +505,18 @@ export class EditorUI {
   /**
    * Generates appearance section HTML
    * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateAppearanceSection(config) {
+  static _generateAppearanceSection(config, t) {
     return `
       <div class="config-section">
         <div class="config-section-header">
-          Appearance Settings
+          ${t('editor.appearance.header')}
         </div>
         <div class="config-row">
           <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--primary-text-color);">
-            Marker Border Radius
+            ${t('editor.appearance.marker_radius')}
           </label>
           <div style="display: flex; align-items: center; gap: 12px; width: 100%;">
             <input
@@ -329,12 +528,12 @@ export class EditorUI {
               class="radius-slider">
             <span id="marker-radius-value" style="min-width: 50px; text-align: right; font-weight: 600;">${config.marker_border_radius || '50%'}</span>
           </div>
-          <div class="config-note">0% for square, 50% for circle</div>
+          <div class="config-note">${t('editor.appearance.radius_note')}</div>
         </div>
 
         <div class="config-row">
           <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--primary-text-color);">
-            Badge Border Radius
+            ${t('editor.appearance.badge_radius')}
           </label>
           <div style="display: flex; align-items: center; gap: 12px; width: 100%;">
             <input
@@ -346,52 +545,94 @@ export class EditorUI {
               class="radius-slider">
             <span id="badge-radius-value" style="min-width: 50px; text-align: right; font-weight: 600;">${config.badge_border_radius || '50%'}</span>
           </div>
-          <div class="config-note">0% for square, 50% for circle</div>
+          <div class="config-note">${t('editor.appearance.radius_note')}</div>
         </div>
 
         <div class="config-row">
           <ha-select
             id="marker_size"
-            label="Marker Size"
+            label="${t('editor.appearance.marker_size')}"
             value="${config.marker_size || 'medium'}">
-            <mwc-list-item value="small">Small (36px)</mwc-list-item>
-            <mwc-list-item value="medium">Medium (48px)</mwc-list-item>
-            <mwc-list-item value="large">Large (64px)</mwc-list-item>
+            <mwc-list-item value="small">${t('editor.appearance.small')}</mwc-list-item>
+            <mwc-list-item value="medium">${t('editor.appearance.medium')}</mwc-list-item>
+            <mwc-list-item value="large">${t('editor.appearance.large')}</mwc-list-item>
+          </ha-select>
+          <div class="config-note">${t('editor.appearance.marker_size_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-select
+            id="overlap_mode"
+            label="${t('editor.appearance.overlap')}"
+            value="${config.overlap_mode || 'spiderfy'}">
+            <mwc-list-item value="spiderfy">${t('editor.appearance.overlap_spiderfy')}</mwc-list-item>
+            <mwc-list-item value="group">${t('editor.appearance.overlap_group')}</mwc-list-item>
+            <mwc-list-item value="none">${t('editor.appearance.overlap_none')}</mwc-list-item>
           </ha-select>
-          <div class="config-note">Adjust the visual size of the entity markers on the map.</div>
+          <div class="config-note">${t('editor.appearance.overlap_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-formfield label="${t('editor.appearance.show_accuracy')}">
+            <ha-switch id="show_accuracy" ${config.show_accuracy !== false ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
+        </div>
+
+        <div class="config-row">
+          <ha-textfield
+            id="max_gps_accuracy"
+            label="${t('editor.appearance.max_gps_accuracy')}"
+            value="${config.max_gps_accuracy || ''}"
+            type="number"
+            min="1">
+          </ha-textfield>
+          <div class="config-note">${t('editor.appearance.max_gps_accuracy_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-select
+            id="units"
+            label="${t('editor.appearance.units')}"
+            value="${config.units || 'auto'}">
+            <mwc-list-item value="auto">${t('editor.follow_home_assistant')}</mwc-list-item>
+            <mwc-list-item value="metric">${t('editor.appearance.metric')}</mwc-list-item>
+            <mwc-list-item value="imperial">${t('editor.appearance.imperial')}</mwc-list-item>
+          </ha-select>
+          <div class="config-note">${t('editor.appearance.units_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-select
+            id="theme_mode"
+            label="${t('editor.appearance.theme')}"
+            value="${config.theme_mode || 'auto'}">
+            <mwc-list-item value="auto">${t('editor.follow_home_assistant')}</mwc-list-item>
+            <mwc-list-item value="light">${t('editor.appearance.light')}</mwc-list-item>
+            <mwc-list-item value="dark">${t('editor.appearance.dark')}</mwc-list-item>
+          </ha-select>
+          <div class="config-note">${t('editor.appearance.theme_note')}</div>
         </div>
 
         <div class="config-row">
           <ha-select
             id="activity_source"
-            label="Activity Source"
+            label="${t('editor.appearance.activity_source')}"
             value="${config.activity_source || 'sensor'}">
-            <mwc-list-item value="sensor">Activity Sensor</mwc-list-item>
-            <mwc-list-item value="speed_predicted">Speed-Based Prediction</mwc-list-item>
+            <mwc-list-item value="sensor">${t('editor.appearance.activity_sensor')}</mwc-list-item>
+            <mwc-list-item value="speed_predicted">${t('editor.appearance.speed_predicted')}</mwc-list-item>
           </ha-select>
-          <div class="config-note">
-            Choose how activity is determined.<br>
-            'Activity Sensor' uses a dedicated Home Assistant sensor (e.g., from a phone app).<br>
-            'Speed-Based Prediction' infers activity from movement speed:<br>
-            - Still: &lt; 1 km/h<br>
-            - Walking: 1-7 km/h<br>
-            - In Vehicle: &gt; 7 km/h
-          </div>
+          <div class="config-note">${t('editor.appearance.activity_source_note')}</div>
         </div>
 
         <div class="config-row">
           <ha-select
             id="speed_source"
-            label="Speed Source"
+            label="${t('editor.appearance.speed_source')}"
             value="${config.speed_source || 'calculated'}">
-            <mwc-list-item value="calculated">Calculated from GPS</mwc-list-item>
-            <mwc-list-item value="sensor">Speed Sensor</mwc-list-item>
+            <mwc-list-item value="calculated">${t('editor.appearance.speed_calculated')}</mwc-list-item>
+            <mwc-list-item value="sensor">${t('editor.appearance.speed_sensor')}</mwc-list-item>
           </ha-select>
-          <div class="config-note">
-            Choose how speed is determined.<br>
-            'Calculated from GPS' computes speed from location updates.<br>
-            'Speed Sensor' uses a dedicated Home Assistant speed sensor.
-          </div>
+          <div class="config-note">${t('editor.appearance.speed_source_note')}</div>
         </div>
       </div>
     `;
@@ -401,18 +642,19 @@ export class EditorUI {
    * Generates entities section HTML
    * @param {string} entitiesHtml - Pre-generated entities HTML
    * @param {string} datalists - Pre-generated datalists HTML
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateEntitiesSection(entitiesHtml, datalists) {
+  static _generateEntitiesSection(entitiesHtml, datalists, t) {
     return `
       <div class="config-section">
         <div class="config-section-header">
-          Entities
+          ${t('editor.entities.header')}
         </div>
         <div id="entities-container">${entitiesHtml}</div>
         ${datalists}
         <ha-button class="add-button" id="add-entity">
-          Add Entity
+          ${t('editor.entities.add')}
         </ha-button>
       </div>
     `;
@@ -421,32 +663,110 @@ export class EditorUI {
   /**
    * Generates zones section HTML
    * @param {string} zonesHtml - Pre-generated zones HTML
+   * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateZonesSection(zonesHtml) {
+  static _generateZonesSection(zonesHtml, config, t) {
     return `
       <div class="config-section">
         <div class="config-section-header">
-          Zone Configuration
+          ${t('editor.zones.header')}
+        </div>
+        <div class="config-row">
+          <ha-formfield label="${t('editor.zones.show_zones')}">
+            <ha-switch id="show_zones" ${config.show_zones ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
+          <div class="config-note">${t('editor.zones.show_zones_note')}</div>
+        </div>
+        <div class="config-row">
+          <ha-formfield label="${t('editor.zones.show_zone_labels')}">
+            <ha-switch id="show_zone_labels" ${config.show_zone_labels !== false ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
+        </div>
+        <div class="config-row">
+          <ha-textfield
+            id="distance_zone"
+            label="${t('editor.zones.distance_zone')}"
+            value="${config.distance_zone || 'zone.home'}"
+            placeholder="zone.home">
+          </ha-textfield>
+          <div class="config-note">${t('editor.zones.distance_zone_note')}</div>
+        </div>
+        <div class="config-row">
+          <ha-formfield label="${t('editor.zones.show_distance_label')}">
+            <ha-switch id="show_distance_label" ${config.show_distance_label ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
         </div>
         <div id="zones-container">${zonesHtml}</div>
         <ha-button class="add-button" id="add-zone">
-          Add Zone
+          ${t('editor.zones.add')}
         </ha-button>
       </div>
     `;
   }
 
+  /**
+   * Generates location history (trails and playback) section HTML
+   * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
+   * @returns {string} HTML string
+   */
+  static _generateHistorySection(config, t) {
+    return `
+      <div class="config-section">
+        <div class="config-section-header">
+          ${t('editor.history.header')}
+        </div>
+        <div class="config-row">
+          <ha-formfield label="${t('editor.history.show_trails')}">
+            <ha-switch id="show_trails" ${config.show_trails ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
+          <div class="config-note">${t('editor.history.show_trails_note')}</div>
+        </div>
+
+        <div class="config-row">
+          <ha-textfield
+            id="trail_hours"
+            label="${t('editor.history.trail_hours')}"
+            value="${config.trail_hours || 6}"
+            type="number"
+            min="1"
+            max="48">
+          </ha-textfield>
+        </div>
+
+        <div class="config-row">
+          <ha-select
+            id="trail_color"
+            label="${t('editor.history.trail_color')}"
+            value="${config.trail_color || 'zone'}">
+            <mwc-list-item value="zone">${t('editor.history.zone_color')}</mwc-list-item>
+            <mwc-list-item value="activity">${t('editor.history.activity_color')}</mwc-list-item>
+          </ha-select>
+        </div>
+
+        <div class="config-row">
+          <ha-formfield label="${t('editor.history.show_playback')}">
+            <ha-switch id="show_playback" ${config.show_playback ? 'checked' : ''}></ha-switch>
+          </ha-formfield>
+          <div class="config-note">${t('editor.history.show_playback_note')}</div>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Generates activities section HTML
    * @param {string} activitiesHtml - Pre-generated activities HTML
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateActivitiesSection(activitiesHtml) {
+  static _generateActivitiesSection(activitiesHtml, t) {
     return `
       <div class="config-section">
         <div class="config-section-header">
-          Activity Configuration
+          ${t('editor.activities.header')}
         </div>
         <div id="activities-container">${activitiesHtml}</div>
       </div>
@@ -456,15 +776,15 @@ export class EditorUI {
   /**
    * Generates entities HTML
    * @param {Object} config - Configuration object
-   * @param {Object} hass - Home Assistant instance
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateEntitiesHTML(config, hass) {
+  static _generateEntitiesHTML(config, t) {
     return config.entities
       .map((entity, idx) => `
         <div class="config-item">
           <div class="input-wrapper">
-            <label>Person Entity</label>
+            <label>${t('editor.entities.tracked_entity')}</label>
             <input
               type="text"
               id="entity-person-${idx}"
@@ -473,10 +793,32 @@ export class EditorUI {
               data-entity-idx="${idx}"
               data-entity-field="person"
               placeholder="person.example"
-              list="person-entities-list">
+              list="tracked-entities-list">
+          </div>
+          <div class="input-wrapper" style="flex: 0 0 140px;">
+            <label>${t('editor.entities.icon')}</label>
+            <input
+              type="text"
+              id="entity-icon-${idx}"
+              class="entity-input"
+              value="${entity.icon || ''}"
+              data-entity-idx="${idx}"
+              data-entity-field="icon"
+              placeholder="mdi:car">
           </div>
           <div class="input-wrapper">
-            <label>Activity Sensor</label>
+            <label>${t('editor.entities.image')}</label>
+            <input
+              type="text"
+              id="entity-image-${idx}"
+              class="entity-input"
+              value="${entity.image || ''}"
+              data-entity-idx="${idx}"
+              data-entity-field="image"
+              placeholder="/local/john.jpg">
+          </div>
+          <div class="input-wrapper">
+            <label>${t('editor.entities.activity_sensor')}</label>
             <input
               type="text"
               id="entity-activity-${idx}"
@@ -488,7 +830,7 @@ export class EditorUI {
               list="sensor-entities-list">
           </div>
           <div class="input-wrapper">
-            <label>Speed Sensor</label>
+            <label>${t('editor.entities.speed_sensor')}</label>
             <input
               type="text"
               id="entity-speed-${idx}"
@@ -499,6 +841,29 @@ export class EditorUI {
               placeholder="sensor.phone_speed"
               list="speed-sensor-list">
           </div>
+          <div class="input-wrapper">
+            <label>${t('editor.entities.proximity_sensor')}</label>
+            <input
+              type="text"
+              id="entity-proximity-${idx}"
+              class="entity-input"
+              value="${entity.proximity || ''}"
+              data-entity-idx="${idx}"
+              data-entity-field="proximity"
+              placeholder="sensor.home_john_distance"
+              list="sensor-entities-list">
+          </div>
+          <div class="input-wrapper">
+            <label>${t('editor.entities.popup_extras')}</label>
+            <input
+              type="text"
+              id="entity-extras-${idx}"
+              class="entity-input"
+              value="${(entity.extra_entities || []).map(extra => typeof extra === 'string' ? extra : extra.entity).join(', ')}"
+              data-entity-idx="${idx}"
+              data-entity-field="extra_entities"
+              placeholder="sensor.phone_battery_level">
+          </div>
           <ha-icon-button
             data-entity-delete="${idx}">
             <ha-icon icon="mdi:delete"></ha-icon>
@@ -510,14 +875,15 @@ export class EditorUI {
   /**
    * Generates zones HTML
    * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
    * @returns {string} HTML string
    */
-  static _generateZonesHTML(config) {
+  static _generateZonesHTML(config, t) {
     return Object.entries(config.zones)
       .map(([state, zoneConfig], idx) => `
         <div class="config-item">
           <div class="input-wrapper">
-            <label>State Name</label>
+            <label>${t('editor.zones.state_name')}</label>
             <input
               type="text"
               id="zone-state-${idx}"
@@ -528,7 +894,7 @@ export class EditorUI {
               placeholder="home">
           </div>
           <div class="input-wrapper" style="flex: 0 0 100px;">
-            <label>Color</label>
+            <label>${t('editor.color')}</label>
             <input type="color" value="${zoneConfig.color}" data-zone-idx="${idx}" data-zone-field="color" class="entity-input" style="height: 40px; padding: 4px;">
           </div>
           <ha-icon-button
@@ -542,9 +908,11 @@ export class EditorUI {
   /**
    * Generates activities HTML
    * @param {Object} config - Configuration object
+   * @param {Function} t - Translates an editor string
+   * @param {string} language - Language for the built-in activity names
    * @returns {string} HTML string
    */
-  static _generateActivitiesHTML(config) {
+  static _generateActivitiesHTML(config, t, language) {
     // Group activities by unique name
     const uniqueActivities = new Map();
     const activityGroups = {};
@@ -573,10 +941,10 @@ export class EditorUI {
         <div class="config-item" style="align-items: center; gap: 16px;">
           <ha-icon icon="${haIconFormat}" style="--mdc-icon-size: 24px; color: var(--primary-text-color); flex-shrink: 0;"></ha-icon>
           <div class="input-wrapper" style="flex: 1;">
-            <label>${displayName}</label>
+            <label>${localizeActivity(language, activityGroups[displayName][0], displayName)}</label>
           </div>
           <div class="input-wrapper" style="width: 100px;">
-            <label>Color</label>
+            <label>${t('editor.color')}</label>
             <input type="color" value="${activityConfig.color || '#000000'}" data-activity-states="${states}" style="width: 100%; height: 40px; border-radius: 4px; border: 1px solid var(--divider-color); cursor: pointer;">
           </div>
         </div>
@@ -591,11 +959,19 @@ export class EditorUI {
    */
   static _generateDatalistsHTML(hass) {
     if (!hass || !hass.states) {
-      return '<datalist id="person-entities-list"></datalist><datalist id="sensor-entities-list"></datalist><datalist id="speed-sensor-list"></datalist>';
+      return '<datalist id="tracked-entities-list"></datalist><datalist id="sensor-entities-list"></datalist><datalist id="speed-sensor-list"></datalist>';
     }
 
-    const personEntities = Object.keys(hass.states)
-      .filter(e => e.startsWith('person.'))
+    // People, device trackers and any sensor that reports a position
+    const trackedEntities = Object.keys(hass.states)
+      .filter(e => {
+        const domain = e.split('.')[0];
+        if (!TRACKABLE_DOMAINS[domain]) return false;
+        if (domain !== 'sensor') return true;
+
+        const attributes = hass.states[e]?.attributes || {};
+        return attributes.latitude !== undefined && attributes.longitude !== undefined;
+      })
       .sort();
 
     // Filter for general sensors (activity sensors, etc.)
@@ -629,9 +1005,9 @@ export class EditorUI {
       })
       .sort();
 
-    const personDatalist = `
-      <datalist id="person-entities-list">
-        ${personEntities.map(e => {
+    const trackedDatalist = `
+      <datalist id="tracked-entities-list">
+        ${trackedEntities.map(e => {
           const friendlyName = hass.states[e]?.attributes?.friendly_name || e;
           return `<option value="${e}">${friendlyName}</option>`;
         }).join('')}
@@ -659,6 +1035,6 @@ export class EditorUI {
       </datalist>
     `;
 
-    return personDatalist + sensorDatalist + speedSensorDatalist;
+    return trackedDatalist + sensorDatalist + speedSensorDatalist;
   }
 }
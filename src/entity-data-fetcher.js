@@ -1,7 +1,7 @@
 /**
  * Manages fetching and caching entity data from Home Assistant
  */
-import { ACTIVITY_THRESHOLDS } from './constants.js';
+import { ACTIVITY_THRESHOLDS, TRACKABLE_DOMAINS } from './constants.js';
 
 export class EntityDataFetcher {
   constructor(debugMode = false) {
@@ -13,6 +13,17 @@ export class EntityDataFetcher {
     this._lastPredictedActivity = new Map(); // entityId → string (last known predicted activity)
     this._candidateActivity = new Map(); // entityId → { activity: string, timestamp: number }
     this._activityStabilityMs = 3000; // 3 second hysteresis
+    this._newPositionCallback = null;
+    this._lastKnownPositions = new Map(); // entityId → { latitude, longitude, last_seen }
+    this._missingPositions = new Set(); // entities without coordinates and no known position
+  }
+
+  /**
+   * Sets the callback for when an entity reports a new position
+   * @param {Function} callback - Called with (entityId, position)
+   */
+  onNewPosition(callback) {
+    this._newPositionCallback = callback;
   }
 
   /**
@@ -29,6 +40,27 @@ export class EntityDataFetcher {
    */
   setEntities(entities) {
     this._entities = entities;
+
+    // Forget everything known about entities that are no longer configured
+    const configured = new Set(entities.map(entity => entity.person));
+    for (const entityId of Object.keys(this._entityCache)) {
+      if (!configured.has(entityId)) {
+        delete this._entityCache[entityId];
+      }
+    }
+    for (const store of [this._positionHistory, this._lastPredictedActivity,
+      this._candidateActivity, this._lastKnownPositions]) {
+      for (const entityId of store.keys()) {
+        if (!configured.has(entityId)) {
+          store.delete(entityId);
+        }
+      }
+    }
+    for (const entityId of this._missingPositions) {
+      if (!configured.has(entityId)) {
+        this._missingPositions.delete(entityId);
+      }
+    }
   }
 
   /**
@@ -67,18 +99,41 @@ export class EntityDataFetcher {
 
     for (const entityConfig of this._entities) {
       try {
-        // Fetch person entity from hass states
+        // Fetch tracked entity (person, device_tracker or sensor) from hass states
         const personState = this._hass.states[entityConfig.person];
         if (!personState) {
           console.error(`[EntityDataFetcher] Entity not found: ${entityConfig.person}`);
           continue;
         }
 
-        // Check for valid GPS data
-        if (!personState.attributes.latitude || !personState.attributes.longitude) {
+        // Entities that lost their location (e.g. unavailable) stay at their last known position
+        const located = !!(personState.attributes.latitude && personState.attributes.longitude);
+
+        // Fixes less accurate than max_gps_accuracy keep the previous position, so they can't fake a jump or speed spike
+        const accuracy = personState.attributes.gps_accuracy;
+        const inaccurate = located && !!config && config.max_gps_accuracy > 0 && accuracy > config.max_gps_accuracy &&
+          this._lastKnownPositions.has(entityConfig.person);
+        if (inaccurate) {
+          this._log(`Ignoring position of ${entityConfig.person} with ${accuracy} m accuracy`);
+        }
+
+        const accepted = located && !inaccurate;
+        if (accepted) {
+          this._lastKnownPositions.set(entityConfig.person, {
+            latitude: personState.attributes.latitude,
+            longitude: personState.attributes.longitude,
+            gps_accuracy: accuracy ?? null,
+            last_seen: personState.last_updated || new Date().toISOString()
+          });
+        }
+
+        const lastKnown = this._lastKnownPositions.get(entityConfig.person);
+        if (!lastKnown) {
           this._log(`No GPS data for ${entityConfig.person}`);
+          this._missingPositions.add(entityConfig.person);
           continue;
         }
+        this._missingPositions.delete(entityConfig.person);
 
         // Fetch activity entity if specified
         let activityState = null;
@@ -92,23 +147,59 @@ export class EntityDataFetcher {
           speedState = this._hass.states[entityConfig.speed];
         }
 
-        // Calculate speed and update position history
+        // Fetch proximity sensor if specified
+        let proximityState = null;
+        if (entityConfig.proximity) {
+          proximityState = this._hass.states[entityConfig.proximity];
+        }
+
+        // Fetch extra entities shown in the popup (battery level etc.)
+        const extraStates = (entityConfig.extra_entities || [])
+          .map(extra => this._hass.states[typeof extra === 'string' ? extra : extra.entity])
+          .filter(Boolean);
+
+        // Calculate speed and update position history (a remembered position says nothing about movement)
         const currentPosition = {
-          latitude: personState.attributes.latitude,
-          longitude: personState.attributes.longitude,
+          latitude: lastKnown.latitude,
+          longitude: lastKnown.longitude,
           timestamp: Date.now()
         };
 
-        const calculatedSpeedData = this.calculateSpeed(entityConfig.person, currentPosition);
-        this._updatePositionHistory(entityConfig.person, currentPosition);
+        const previous = this._entityCache[entityConfig.person];
+        let calculatedSpeedData = inaccurate && previous ? previous.speed : null;
+        let heading = inaccurate && previous ? previous.heading : null;
+        if (accepted) {
+          calculatedSpeedData = this.calculateSpeed(entityConfig.person, currentPosition);
+          const moved = this._hasMoved(entityConfig.person, currentPosition);
+          this._updatePositionHistory(entityConfig.person, currentPosition);
+          heading = this._getHeading(entityConfig.person, personState.attributes);
+
+          if (moved && this._newPositionCallback) {
+            this._newPositionCallback(entityConfig.person, currentPosition);
+          }
+        }
 
         // Store in cache
         this._entityCache[entityConfig.person] = {
-          person: personState,
+          entity_config: entityConfig,
+          person: accepted ? personState : {
+            ...personState,
+            attributes: {
+              ...personState.attributes,
+              latitude: lastKnown.latitude,
+              longitude: lastKnown.longitude,
+              gps_accuracy: lastKnown.gps_accuracy ?? personState.attributes.gps_accuracy
+            }
+          },
+          located: located,
+          last_seen: lastKnown.last_seen,
           activity: activityState,
           speed: calculatedSpeedData,
           speed_sensor: speedState,
+          extras: extraStates,
+          proximity: proximityState,
           predicted_activity: calculatedSpeedData ? this.predictActivity(calculatedSpeedData.speed_kmh) : null,
+          heading: heading,
           timestamp: Date.now()
         };
 
@@ -150,7 +241,7 @@ export class EntityDataFetcher {
         return data.speed;
       }
       
-      const sensorSpeed = parseFloat(data.speed_sensor.state);
+      const sensorSpeed = this.toKmh(parseFloat(data.speed_sensor.state), data.speed_sensor.attributes?.unit_of_measurement);
       if (!isNaN(sensorSpeed) && isFinite(sensorSpeed)) {
         // Convert sensor speed to standard format
         const speedData = {
@@ -158,7 +249,7 @@ export class EntityDataFetcher {
           speed_mph: sensorSpeed * 0.621371,
           source: 'sensor'
         };
-        this._log(`[Debug] Using sensor speed: ${sensorSpeed} km/h (source: ${data.speed_sensor.entity_id || 'unknown'})`);
+        this._log(`[Debug] Using sensor speed: ${sensorSpeed.toFixed(1)} km/h (source: ${data.speed_sensor.entity_id || 'unknown'})`);
         return speedData;
       } else {
         this._log(`[Warning] Invalid sensor speed value: "${data.speed_sensor.state}" from sensor ${data.speed_sensor.entity_id || 'unknown'}. Falling back to calculated speed.`);
@@ -174,6 +265,24 @@ export class EntityDataFetcher {
     return data.speed;
   }
 
+  /**
+   * Converts a speed sensor value to km/h
+   * @param {number} value - Sensor value
+   * @param {string} [unit] - Sensor unit_of_measurement; km/h when missing or unknown
+   * @returns {number} Speed in km/h
+   */
+  toKmh(value, unit) {
+    const factors = {
+      'm/s': 3.6,
+      'mph': 1.609344,
+      'kn': 1.852,
+      'kt': 1.852,
+      'knots': 1.852,
+      'ft/s': 1.09728
+    };
+    return value * (factors[unit] ?? 1);
+  }
+
   /**
    * Determines which activity to use based on configuration
    * @param {Object} data - Entity cache data
@@ -242,12 +351,12 @@ export class EntityDataFetcher {
 
     const entityData = {};
 
-    for (const [entityId, data] of Object.entries(this._entityCache)) {
-      // Build picture URL
-      let pictureUrl = data.person.attributes.entity_picture || '';
-      if (pictureUrl && pictureUrl.startsWith('/')) {
-        pictureUrl = window.location.origin + pictureUrl;
-      }
+    for (const { person: entityId } of this._entities) {
+      const data = this._entityCache[entityId];
+      if (!data) continue;
+
+      const marker = this._getMarkerAppearance(entityId, data);
+      const speed = this._getSpeedToUse(data, config);
 
       entityData[entityId] = {
         state: data.person.state,
@@ -255,17 +364,272 @@ export class EntityDataFetcher {
           latitude: data.person.attributes.latitude,
           longitude: data.person.attributes.longitude,
           friendly_name: data.person.attributes.friendly_name,
-          entity_picture: pictureUrl
+          state_name: this.getStateName(data.person.state),
+          entity_picture: marker.picture,
+          icon: marker.icon
         },
         activity: this._getActivityToUse(data, entityId, config),
-        speed: this._getSpeedToUse(data, config),
-        predicted_activity: data.predicted_activity || null
+        speed: speed,
+        distance: this._getDistanceInfo(entityId, data, config, speed),
+        predicted_activity: data.predicted_activity || null,
+        // Standing still has no meaningful direction
+        heading: data.predicted_activity === 'still' ? null : data.heading ?? null,
+        stale: this._isStale(data, config),
+        details: this._getPopupDetails(data)
       };
     }
 
     return entityData;
   }
 
+  /**
+   * Checks whether an entity's position can no longer be trusted
+   * @param {Object} data - Entity cache data
+   * @param {Object} config - Card configuration
+   * @returns {boolean} True if the position is remembered or older than stale_after minutes
+   */
+  _isStale(data, config) {
+    if (!data.located) return true;
+    if (!config || !config.stale_after) return false;
+
+    const lastSeen = new Date(data.last_seen).getTime();
+    return Date.now() - lastSeen > config.stale_after * 60 * 1000;
+  }
+
+  /**
+   * Gets the name Home Assistant shows for a zone state
+   * @param {string} state - Entity state
+   * @returns {string|null} Zone friendly name, or null if the state is not a zone
+   */
+  getStateName(state) {
+    if (!this._hass || !this._hass.states) return null;
+
+    // Entities report 'home' for zone.home and the zone's friendly name for other zones
+    if (state === 'home') {
+      const home = this._hass.states['zone.home'];
+      return (home && home.attributes.friendly_name) || null;
+    }
+
+    const isZone = Object.keys(this._hass.states).some(entityId =>
+      entityId.startsWith('zone.') && this._hass.states[entityId].attributes.friendly_name === state
+    );
+    return isZone ? state : null;
+  }
+
+  /**
+   * Works out how far an entity is from the reference zone, whether it is getting
+   * closer and, if so, a rough straight-line ETA at its current speed
+   * @param {string} entityId - Entity identifier
+   * @param {Object} data - Entity cache data
+   * @param {Object} config - Card configuration
+   * @param {Object|null} speedData - Speed in use for the entity
+   * @returns {Object|null} Distance in meters, trend ('closer', 'farther', 'steady' or null),
+   *   ETA in seconds, zone name and source, or null if the zone is unknown
+   */
+  _getDistanceInfo(entityId, data, config, speedData) {
+    const zoneId = config?.distance_zone || 'zone.home';
+    const zone = this._hass && this._hass.states[zoneId];
+    const zoneName = zone ? (zone.attributes.friendly_name || zoneId.substring(5)) : zoneId.substring(5);
+
+    let info = data.proximity ? this._getProximityInfo(data.proximity) : null;
+
+    if (!info) {
+      if (!zone || zone.attributes.latitude === undefined || zone.attributes.longitude === undefined) {
+        return null;
+      }
+
+      const position = data.person.attributes;
+      const distanceTo = (point) => this.calculateHaversineDistance(
+        point.latitude, point.longitude, zone.attributes.latitude, zone.attributes.longitude
+      );
+
+      // Compare with the oldest remembered position; small changes are GPS jitter
+      const history = this._positionHistory.get(entityId) || [];
+      const meters = distanceTo(position);
+      const change = history.length > 1 ? meters - distanceTo(history[0]) : null;
+      let trend = null;
+      if (change !== null) {
+        trend = Math.abs(change) < 25 ? 'steady' : (change < 0 ? 'closer' : 'farther');
+      }
+
+      info = {
+        meters: meters,
+        trend: trend,
+        arrived: meters <= (zone.attributes.radius || 100),
+        source: 'calculated'
+      };
+    }
+
+    const speedKmh = speedData && speedData.speed_kmh;
+    const etaSeconds = info.trend === 'closer' && !info.arrived && speedKmh >= 1
+      ? Math.round(info.meters / (speedKmh / 3.6))
+      : null;
+
+    return {
+      meters: info.meters,
+      trend: info.trend,
+      eta_seconds: etaSeconds,
+      zone_name: zoneName,
+      source: info.source
+    };
+  }
+
+  /**
+   * Reads distance and direction of travel from a Home Assistant proximity sensor
+   * @param {Object} state - Distance sensor (sensor.*_distance) or legacy proximity.* entity
+   * @returns {Object|null} Distance in meters, trend and arrival, or null if the state is not a number
+   */
+  _getProximityInfo(state) {
+    const value = parseFloat(state.state);
+    if (isNaN(value)) return null;
+
+    const toMeters = { m: 1, km: 1000, mi: 1609.344, ft: 0.3048, yd: 0.9144 };
+    const meters = value * (toMeters[state.attributes.unit_of_measurement] ?? 1);
+
+    // Direction lives in a sibling sensor, or in an attribute of the legacy proximity entity
+    const directionState = state.entity_id.startsWith('proximity.')
+      ? state.attributes.dir_of_travel
+      : this._hass.states[state.entity_id.replace(/_distance$/, '_direction_of_travel')]?.state;
+    const trends = { towards: 'closer', away_from: 'farther', stationary: 'steady', arrived: 'steady' };
+
+    return {
+      meters: meters,
+      trend: trends[directionState] || null,
+      arrived: directionState === 'arrived' || meters === 0,
+      source: 'proximity'
+    };
+  }
+
+  /**
+   * Collects the extra information shown in an entity's popup
+   * @param {Object} data - Entity cache data
+   * @returns {Object} Timestamps, GPS attributes and extra entity states
+   */
+  _getPopupDetails(data) {
+    const attributes = data.person.attributes;
+    const extraConfigs = (data.entity_config && data.entity_config.extra_entities) || [];
+
+    return {
+      last_seen: data.last_seen || null,
+      last_changed: data.person.last_changed || null,
+      last_updated: data.person.last_updated || null,
+      gps_accuracy: attributes.gps_accuracy ?? null,
+      altitude: attributes.altitude ?? null,
+      source: attributes.source || null,
+      extras: (data.extras || []).map(state => {
+        // Config entries can be a plain entity ID or { entity, name, icon }
+        const extraConfig = extraConfigs.find(extra => typeof extra === 'object' && extra.entity === state.entity_id) || {};
+        return {
+          entity_id: state.entity_id,
+          name: extraConfig.name || state.attributes.friendly_name || state.entity_id,
+          state: state.state,
+          unit: state.attributes.unit_of_measurement || '',
+          icon: extraConfig.icon || this._getExtraIcon(state)
+        };
+      })
+    };
+  }
+
+  /**
+   * Picks an icon for an extra popup entity
+   * @param {Object} state - Entity state
+   * @returns {string} MDI icon name (mdi:...)
+   */
+  _getExtraIcon(state) {
+    if (state.attributes.icon) {
+      return state.attributes.icon;
+    }
+
+    // Battery sensors rarely set an icon, but their level maps onto MDI's battery icons
+    const level = parseFloat(state.state);
+    if (state.attributes.device_class === 'battery' && !isNaN(level)) {
+      const rounded = Math.round(Math.min(Math.max(level, 0), 100) / 10) * 10;
+      if (rounded === 0) return 'mdi:battery-outline';
+      return rounded === 100 ? 'mdi:battery' : `mdi:battery-${rounded}`;
+    }
+
+    return 'mdi:information-outline';
+  }
+
+  /**
+   * Picks the marker picture or icon for an entity
+   * @param {string} entityId - Entity identifier
+   * @param {Object} data - Entity cache data
+   * @returns {Object} Picture URL (empty when the marker shows an icon) and icon
+   */
+  _getMarkerAppearance(entityId, data) {
+    const entityConfig = data.entity_config || {};
+    const attributes = data.person.attributes;
+
+    // A configured image or icon wins over the entity's own picture
+    let picture = entityConfig.image || (entityConfig.icon ? '' : attributes.entity_picture || '');
+    if (picture && picture.startsWith('/')) {
+      picture = window.location.origin + picture;
+    }
+
+    const domain = TRACKABLE_DOMAINS[entityId.split('.')[0]] || TRACKABLE_DOMAINS.sensor;
+    const icon = entityConfig.icon || attributes.icon || domain.icon;
+
+    return { picture: picture, icon: icon };
+  }
+
+  /**
+   * Collects all zone.* entities from Home Assistant for drawing on the map
+   * @returns {Object} Zone data keyed by entity ID
+   */
+  fetchZones() {
+    if (!this._hass || !this._hass.states) {
+      this._log('Cannot fetch zones: hass not available');
+      return {};
+    }
+
+    const zones = {};
+
+    Object.keys(this._hass.states)
+      .filter(entityId => entityId.startsWith('zone.'))
+      .forEach(entityId => {
+        const attributes = this._hass.states[entityId].attributes || {};
+        if (attributes.latitude === undefined || attributes.longitude === undefined) {
+          return;
+        }
+
+        const friendlyName = attributes.friendly_name || entityId.substring(5);
+
+        zones[entityId] = {
+          // Person entities report 'home' for zone.home and the zone's friendly name otherwise
+          state: entityId === 'zone.home' ? 'home' : friendlyName,
+          latitude: attributes.latitude,
+          longitude: attributes.longitude,
+          radius: attributes.radius || 100,
+          icon: attributes.icon || null,
+          friendly_name: friendlyName,
+          passive: attributes.passive || false
+        };
+      });
+
+    return zones;
+  }
+
+  /**
+   * Gets the entities that have no coordinates and no known position yet
+   * @returns {Array<string>} Entity IDs
+   */
+  getMissingPositions() {
+    return Array.from(this._missingPositions);
+  }
+
+  /**
+   * Remembers where an entity was last seen, e.g. from the recorder after a restart
+   * @param {string} entityId - Entity identifier
+   * @param {Object} position - Position with latitude, longitude and last_seen (ISO timestamp)
+   */
+  setLastKnownPosition(entityId, position) {
+    if (this._lastKnownPositions.has(entityId)) return;
+
+    this._log(`Last known position for ${entityId}:`, position);
+    this._lastKnownPositions.set(entityId, position);
+  }
+
   /**
    * Gets the entity cache
    * @returns {Object} Entity cache
@@ -299,7 +663,7 @@ export class EntityDataFetcher {
    * @param {number} lon2 - Second longitude
    * @returns {number} Distance in meters
    */
-  _calculateHaversineDistance(lat1, lon1, lat2, lon2) {
+  calculateHaversineDistance(lat1, lon1, lat2, lon2) {
     const R = 6371000; // Earth's radius in meters
     const φ1 = (lat1 * Math.PI) / 180;
     const φ2 = (lat2 * Math.PI) / 180;
@@ -314,6 +678,53 @@ export class EntityDataFetcher {
     return R * c;
   }
 
+  /**
+   * Calculates the initial bearing from one coordinate to another
+   * @param {number} lat1 - First latitude
+   * @param {number} lon1 - First longitude
+   * @param {number} lat2 - Second latitude
+   * @param {number} lon2 - Second longitude
+   * @returns {number} Bearing in degrees clockwise from north (0-360)
+   */
+  _calculateBearing(lat1, lon1, lat2, lon2) {
+    const φ1 = (lat1 * Math.PI) / 180;
+    const φ2 = (lat2 * Math.PI) / 180;
+    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+  }
+
+  /**
+   * Determines the direction an entity is heading
+   * @param {string} entityId - Entity identifier
+   * @param {Object} attributes - Entity attributes
+   * @returns {number|null} Heading in degrees clockwise from north, or null if unknown
+   */
+  _getHeading(entityId, attributes) {
+    // Trackers such as the companion app or car integrations report their own course
+    const reported = parseFloat(attributes.course ?? attributes.heading);
+    if (isFinite(reported)) {
+      return ((reported % 360) + 360) % 360;
+    }
+
+    // Otherwise use the last movement between two distinct positions
+    const history = this._positionHistory.get(entityId) || [];
+    const current = history[history.length - 1];
+    if (!current) return null;
+
+    for (let i = history.length - 2; i >= 0; i--) {
+      const previous = history[i];
+      if (previous.latitude !== current.latitude || previous.longitude !== current.longitude) {
+        return this._calculateBearing(previous.latitude, previous.longitude, current.latitude, current.longitude);
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Calculates average speed based on position history over available points
    * @param {string} entityId - Entity identifier
@@ -341,7 +752,7 @@ export class EntityDataFetcher {
       const point1 = history[i];
       const point2 = i + 1 < history.length ? history[i + 1] : currentPosition;
       
-      const distance = this._calculateHaversineDistance(
+      const distance = this.calculateHaversineDistance(
         point1.latitude,
         point1.longitude,
         point2.latitude,
@@ -425,6 +836,22 @@ export class EntityDataFetcher {
     return this._lastPredictedActivity.get(entityId) || null;
   }
 
+  /**
+   * Checks whether a position differs from the last recorded one
+   * @param {string} entityId - Entity identifier
+   * @param {Object} position - Current position data
+   * @returns {boolean} True if the entity has no history or its coordinates changed
+   */
+  _hasMoved(entityId, position) {
+    const history = this._positionHistory.get(entityId);
+    if (!history || history.length === 0) {
+      return true;
+    }
+
+    const last = history[history.length - 1];
+    return last.latitude !== position.latitude || last.longitude !== position.longitude;
+  }
+
   /**
    * Updates position history for an entity (ring buffer of max 5 entries)
    * @param {string} entityId - Entity identifier
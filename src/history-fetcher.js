@@ -0,0 +1,398 @@
+/**
+ * Fetches recorded location history from Home Assistant and maintains per-entity trails
+ */
+export class HistoryFetcher {
+  /**
+   * @param {EntityDataFetcher} dataFetcher - Used for distance and activity prediction on recorded points
+   * @param {boolean} [debugMode] - Debug mode flag
+   */
+  constructor(dataFetcher, debugMode = false) {
+    this._dataFetcher = dataFetcher;
+    this._debug = debugMode;
+    this._hass = null;
+    this._trailHours = 6;
+    this._maxGpsAccuracy = null;
+    this._trails = new Map(); // entityId → TrailPoint[]
+  }
+
+  /**
+   * Sets the Home Assistant instance
+   * @param {Object} hass - Home Assistant instance
+   */
+  setHass(hass) {
+    this._hass = hass;
+  }
+
+  /**
+   * Sets debug mode
+   * @param {boolean} debug - Debug mode flag
+   */
+  setDebugMode(debug) {
+    this._debug = debug;
+  }
+
+  /**
+   * Sets how many hours of history the trails should cover
+   * @param {number} hours - Trail time window in hours
+   */
+  setTrailHours(hours) {
+    this._trailHours = hours;
+  }
+
+  /**
+   * Sets the accuracy above which recorded positions are skipped, like live updates
+   * @param {number|null} meters - Maximum GPS accuracy in meters, null to keep every position
+   */
+  setMaxGpsAccuracy(meters) {
+    this._maxGpsAccuracy = meters;
+  }
+
+  /**
+   * Checks whether a recorded position is too inaccurate to use. As with live updates,
+   * the first position is kept anyway so the entity has somewhere to be.
+   * @param {Object} attributes - Recorded attributes
+   * @param {boolean} hasPrevious - Whether an earlier position was accepted
+   * @returns {boolean} True if the position should be skipped
+   */
+  _isInaccurate(attributes, hasPrevious) {
+    return hasPrevious && this._maxGpsAccuracy > 0 && attributes.gps_accuracy > this._maxGpsAccuracy;
+  }
+
+  /**
+   * Logs debug messages
+   * @param {string} message - Message to log
+   * @param {...any} args - Additional arguments
+   */
+  _log(message, ...args) {
+    if (this._debug) {
+      console.log(`[HistoryFetcher ${new Date().toISOString()}] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Fetches recorded states for entities from the recorder
+   * @param {Array<string>} entityIds - Entities to fetch
+   * @param {Date} startTime - Start of the period
+   * @param {Date} [endTime] - End of the period (defaults to now)
+   * @returns {Promise<Object>} States keyed by entity ID, each an array of { state, attributes, timestamp }
+   */
+  async fetchHistory(entityIds, startTime, endTime = new Date()) {
+    if (!this._hass || !entityIds || entityIds.length === 0) {
+      this._log('Cannot fetch history: hass or entities not available');
+      return {};
+    }
+
+    this._log(`Fetching history for ${entityIds.join(', ')} from ${startTime.toISOString()} to ${endTime.toISOString()}`);
+
+    const response = await this._hass.callWS({
+      type: 'history/history_during_period',
+      start_time: startTime.toISOString(),
+      end_time: endTime.toISOString(),
+      entity_ids: entityIds,
+      include_start_time_state: true,
+      significant_changes_only: false,
+      minimal_response: false,
+      no_attributes: false
+    });
+
+    const history = {};
+
+    for (const [entityId, states] of Object.entries(response || {})) {
+      let lastAttributes = {};
+
+      // The recorder sends compressed states: s = state, a = attributes,
+      // lc/lu = last changed/updated in seconds (lu omitted when equal to lc)
+      history[entityId] = states.map(entry => {
+        if (entry.a) {
+          lastAttributes = entry.a;
+        }
+
+        return {
+          state: entry.s,
+          attributes: lastAttributes,
+          timestamp: Math.round((entry.lu || entry.lc) * 1000)
+        };
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Finds the last recorded position of entities that currently have none
+   * @param {Array<string>} entityIds - Entities to look up
+   * @param {number} [days] - How far back to look
+   * @returns {Promise<Object>} Positions keyed by entity ID, each { latitude, longitude, last_seen }
+   */
+  async fetchLastPositions(entityIds, days = 7) {
+    const history = await this.fetchHistory(entityIds, new Date(Date.now() - days * 24 * 3600 * 1000));
+    const positions = {};
+
+    entityIds.forEach(entityId => {
+      const located = (history[entityId] || []).filter(entry =>
+        entry.attributes.latitude !== undefined && entry.attributes.longitude !== undefined
+      );
+      if (located.length === 0) return;
+
+      const last = located[located.length - 1];
+      positions[entityId] = {
+        latitude: last.attributes.latitude,
+        longitude: last.attributes.longitude,
+        last_seen: new Date(last.timestamp).toISOString()
+      };
+    });
+
+    return positions;
+  }
+
+  /**
+   * Loads location trails for the configured time window, replacing older trails
+   * @param {Array<string>} entityIds - Entities to load trails for
+   * @returns {Promise<boolean>} True if trails were loaded
+   */
+  async loadTrails(entityIds) {
+    const startTime = new Date(Date.now() - this._trailHours * 3600 * 1000);
+
+    let history;
+    try {
+      history = await this.fetchHistory(entityIds, startTime);
+    } catch (error) {
+      console.error('[HistoryFetcher] Error fetching location history:', error);
+      return false;
+    }
+
+    entityIds.forEach(entityId => {
+      const recorded = [];
+
+      (history[entityId] || []).forEach(entry => {
+        const { latitude, longitude } = entry.attributes;
+        if (latitude === undefined || longitude === undefined) return;
+        if (this._isInaccurate(entry.attributes, recorded.length > 0)) return;
+
+        // The start-time state may have been recorded long before the window opened
+        this._appendIfMoved(recorded, {
+          latitude: latitude,
+          longitude: longitude,
+          timestamp: Math.max(entry.timestamp, startTime.getTime())
+        });
+      });
+
+      // Keep live points that arrived while the history request was in flight
+      const lastRecorded = recorded.length > 0 ? recorded[recorded.length - 1].timestamp : 0;
+      (this._trails.get(entityId) || [])
+        .filter(point => point.timestamp > lastRecorded)
+        .forEach(point => this._appendIfMoved(recorded, point));
+
+      this._trails.set(entityId, recorded);
+      this._log(`Loaded ${recorded.length} trail points for ${entityId}`);
+    });
+
+    return true;
+  }
+
+  /**
+   * Builds playback frames for one day of recorded history
+   * @param {Array} entityConfigs - Configured entities (person, activity, speed)
+   * @param {string} date - Day to load as YYYY-MM-DD (local time)
+   * @param {Object} config - Card configuration
+   * @returns {Promise<Object>} Frames keyed by person entity ID, each sorted by timestamp
+   */
+  async fetchPlayback(entityConfigs, date, config) {
+    const [year, month, day] = date.split('-').map(Number);
+    const startTime = new Date(year, month - 1, day);
+    const endTime = new Date(Math.min(startTime.getTime() + 24 * 3600 * 1000, Date.now()));
+
+    if (isNaN(startTime.getTime()) || startTime >= endTime) {
+      throw new Error(`Invalid playback date "${date}"`);
+    }
+
+    const entityIds = [];
+    entityConfigs.forEach(e => {
+      [e.person, e.activity, e.speed].filter(Boolean).forEach(id => {
+        if (!entityIds.includes(id)) entityIds.push(id);
+      });
+    });
+
+    const history = await this.fetchHistory(entityIds, startTime, endTime);
+    const frames = {};
+
+    entityConfigs.forEach(entityConfig => {
+      if (!entityConfig.person) return;
+      frames[entityConfig.person] = this._buildFrames(history, entityConfig, config, startTime.getTime());
+      this._log(`Built ${frames[entityConfig.person].length} playback frames for ${entityConfig.person}`);
+    });
+
+    return frames;
+  }
+
+  /**
+   * Merges person, activity and speed history into a single timeline
+   * @param {Object} history - Recorded states keyed by entity ID
+   * @param {Object} entityConfig - Entity configuration
+   * @param {Object} config - Card configuration
+   * @param {number} startTime - Start of the period in milliseconds
+   * @returns {Array} Frames with state, zone name, position, activity and speed
+   */
+  _buildFrames(history, entityConfig, config, startTime) {
+    const events = [];
+    const addEvents = (entityId, kind) => {
+      if (!entityId) return;
+      (history[entityId] || []).forEach(entry => {
+        events.push({ kind: kind, entry: entry, timestamp: Math.max(entry.timestamp, startTime) });
+      });
+    };
+
+    addEvents(entityConfig.person, 'person');
+    addEvents(entityConfig.activity, 'activity');
+    addEvents(entityConfig.speed, 'speed');
+    events.sort((a, b) => a.timestamp - b.timestamp);
+
+    const frames = [];
+    let person = null;
+    let previousPoint = null;
+    let calculatedSpeed = null;
+    let sensorActivity = 'unknown';
+    let sensorSpeed = null;
+
+    events.forEach(event => {
+      if (event.kind === 'person') {
+        const { latitude, longitude } = event.entry.attributes;
+        if (latitude === undefined || longitude === undefined) return;
+
+        // Like live updates, an inaccurate fix changes the state but keeps the previous position and speed
+        if (this._isInaccurate(event.entry.attributes, !!previousPoint)) {
+          person = {
+            ...person,
+            state: event.entry.state,
+            state_name: this._dataFetcher.getStateName(event.entry.state)
+          };
+        } else {
+          const point = { latitude: latitude, longitude: longitude, timestamp: event.timestamp };
+          if (previousPoint && point.timestamp > previousPoint.timestamp) {
+            const distance = this._dataFetcher.calculateHaversineDistance(
+              previousPoint.latitude, previousPoint.longitude, latitude, longitude
+            );
+            const hours = (point.timestamp - previousPoint.timestamp) / 3600000;
+            calculatedSpeed = (distance / 1000) / hours;
+          }
+
+          previousPoint = point;
+          person = {
+            state: event.entry.state,
+            state_name: this._dataFetcher.getStateName(event.entry.state),
+            latitude: latitude,
+            longitude: longitude
+          };
+        }
+      } else if (event.kind === 'activity') {
+        sensorActivity = event.entry.state;
+      } else {
+        // Same conversion as live sensor speeds, so m/s, mph and knot sensors replay correctly
+        const attributes = event.entry.attributes || {};
+        const value = this._dataFetcher.toKmh(parseFloat(event.entry.state), attributes.unit_of_measurement);
+        sensorSpeed = isFinite(value) ? value : null;
+      }
+
+      // Nothing to show until the first known position
+      if (!person) return;
+
+      const speedKmh = config.speed_source === 'sensor' && sensorSpeed !== null ? sensorSpeed : calculatedSpeed;
+      const activity = config.activity_source === 'speed_predicted'
+        ? (this._dataFetcher.predictActivity(speedKmh) || 'unknown')
+        : sensorActivity;
+
+      const frame = {
+        timestamp: event.timestamp,
+        state: person.state,
+        state_name: person.state_name,
+        latitude: person.latitude,
+        longitude: person.longitude,
+        activity: activity,
+        speed: speedKmh !== null ? { speed_kmh: speedKmh, speed_mph: speedKmh * 0.621371 } : null
+      };
+
+      // Collapse events that share a timestamp into the latest frame
+      if (frames.length > 0 && frames[frames.length - 1].timestamp === frame.timestamp) {
+        frames[frames.length - 1] = frame;
+      } else {
+        frames.push(frame);
+      }
+    });
+
+    return frames;
+  }
+
+  /**
+   * Appends a live position to an entity's trail
+   * @param {string} entityId - Entity identifier
+   * @param {Object} position - Position with latitude, longitude and timestamp
+   * @returns {boolean} True if the trail changed
+   */
+  appendPosition(entityId, position) {
+    if (!this._trails.has(entityId)) {
+      this._trails.set(entityId, []);
+    }
+
+    const trail = this._trails.get(entityId);
+    const appended = this._appendIfMoved(trail, {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      timestamp: position.timestamp
+    });
+
+    if (appended) {
+      this._pruneTrail(trail);
+    }
+
+    return appended;
+  }
+
+  /**
+   * Gets all trails within the configured time window
+   * @returns {Object} Trail points keyed by entity ID
+   */
+  getTrails() {
+    const trails = {};
+
+    this._trails.forEach((trail, entityId) => {
+      this._pruneTrail(trail);
+      trails[entityId] = trail;
+    });
+
+    return trails;
+  }
+
+  /**
+   * Clears all stored trails
+   */
+  clearTrails() {
+    this._trails.clear();
+  }
+
+  /**
+   * Appends a point unless it repeats the last position
+   * @param {Array} trail - Trail points
+   * @param {Object} point - Point to append
+   * @returns {boolean} True if the point was appended
+   */
+  _appendIfMoved(trail, point) {
+    const last = trail[trail.length - 1];
+    if (last && last.latitude === point.latitude && last.longitude === point.longitude) {
+      return false;
+    }
+
+    trail.push(point);
+    return true;
+  }
+
+  /**
+   * Drops trail points older than the configured time window
+   * @param {Array} trail - Trail points
+   */
+  _pruneTrail(trail) {
+    const cutoff = Date.now() - this._trailHours * 3600 * 1000;
+    while (trail.length > 0 && trail[0].timestamp < cutoff) {
+      trail.shift();
+    }
+  }
+}
@@ -1,74 +1,64 @@
+import { MapMessenger } from './map-messenger.js';
+import { MESSAGE_ACK } from './map-protocol.js';
+
 /**
- * Handles communication with the map iframe via postMessage
+ * Creates an ID that tells this card's messages apart from those of other map cards on the page
+ * @returns {string} Channel ID
  */
-export class IframeMessenger {
+function createChannelId() {
+  return `map-badge-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Creates a random token that only this card and its iframe page know
+ * @returns {string} 32 hex characters
+ */
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Handles communication with the map iframe via postMessage (legacy rendering mode).
+ * Each messenger has its own channel ID and a random token, passed to the page in its URL.
+ * Both sides stamp them on every message, post only to each other's origin and ignore
+ * messages from other windows, origins, channels or without the token.
+ */
+export class IframeMessenger extends MapMessenger {
   constructor(debugMode = false) {
+    super(debugMode);
     this._iframe = null;
-    this._iframeReady = false;
-    this._debug = debugMode;
     this._retryCount = 0;
     this._messageListener = null;
-    this._readyCallback = null;
-    this._dataRequestCallback = null;
-  }
-
-  /**
-   * Logs debug messages
-   * @param {string} message - Message to log
-   * @param {...any} args - Additional arguments
-   */
-  _log(message, ...args) {
-    if (this._debug) {
-      console.log(`[IframeMessenger ${new Date().toISOString()}] ${message}`, ...args);
-    }
-  }
-
-  /**
-   * Sets the iframe element
-   * @param {HTMLIFrameElement} iframe - Iframe element
-   */
-  setIframe(iframe) {
-    this._iframe = iframe;
-    this._iframeReady = false;
-  }
-
-  /**
-   * Gets the iframe ready state
-   * @returns {boolean} True if iframe is ready
-   */
-  isReady() {
-    return this._iframeReady;
+    this._channel = createChannelId();
+    this._token = createToken();
+    this._origin = null; // origin of the iframe page
   }
 
   /**
-   * Marks the iframe as ready
+   * Gets the channel ID the iframe page must use
+   * @returns {string} Channel ID
    */
-  markReady() {
-    this._iframeReady = true;
+  getChannel() {
+    return this._channel;
   }
 
   /**
-   * Sets debug mode
-   * @param {boolean} debug - Debug mode flag
+   * Gets the token the iframe page must stamp on its messages
+   * @returns {string} Token
    */
-  setDebugMode(debug) {
-    this._debug = debug;
+  getToken() {
+    return this._token;
   }
 
   /**
-   * Sets the callback for when iframe is ready
-   * @param {Function} callback - Callback function
-   */
-  onReady(callback) {
-    this._readyCallback = callback;
-  }
-
-  /**
-   * Sets the callback for when iframe requests data
-   * @param {Function} callback - Callback function
+   * Sets the iframe element
+   * @param {HTMLIFrameElement} iframe - Iframe element
    */
-  onDataRequest(callback) {
-    this._dataRequestCallback = callback;
+  setIframe(iframe) {
+    this._iframe = iframe;
+    this._origin = iframe && iframe.src ? new URL(iframe.src, window.location.href).origin : null;
+    this.reset();
   }
 
   /**
@@ -80,34 +70,40 @@ export class IframeMessenger {
     }
 
     this._messageListener = (event) => {
-      if (!event.data) return;
-
-      switch (event.data.type) {
-        case 'iframe-ready':
-          this._log('Iframe reports ready');
-          this._iframeReady = true;
-          if (this._readyCallback) {
-            this._readyCallback();
-          }
-          break;
-
-        case 'request-data':
-          this._log('Iframe requesting data');
-          if (this._dataRequestCallback) {
-            this._dataRequestCallback();
-          }
-          break;
-
-        case 'data-received':
-          this._log('Iframe confirmed data received');
-          this._retryCount = 0;
-          break;
+      const reason = this._checkMessage(event);
+      if (reason) {
+        this._log(`Rejected message (${reason}):`, event.data);
+        return;
       }
+
+      this._handleMessage(event.data);
     };
 
     window.addEventListener('message', this._messageListener);
   }
 
+  /**
+   * Checks that a message was posted by this card's iframe page
+   * @param {MessageEvent} event - Message event
+   * @returns {string|null} Why the message is rejected, or null if it is accepted
+   */
+  _checkMessage(event) {
+    // Every map card on the dashboard receives every message, so only accept our own iframe's
+    if (!this._iframe || event.source !== this._iframe.contentWindow) {
+      return 'not from this card\'s iframe';
+    }
+    if (event.origin !== this._origin) {
+      return `unexpected origin ${event.origin}`;
+    }
+    if (!event.data || event.data.channel !== this._channel) {
+      return 'other channel';
+    }
+    if (event.data.token !== this._token) {
+      return 'invalid token';
+    }
+    return null;
+  }
+
   /**
    * Stops listening for messages
    */
@@ -119,71 +115,32 @@ export class IframeMessenger {
   }
 
   /**
-   * Sends entity data to the iframe
-   * @param {Object} data - Entity data to send
-   * @returns {boolean} True if sent successfully
+   * Handles a message from the iframe
+   * @param {Object} data - Message data
    */
-  sendData(data) {
-    if (!this._iframe || !this._iframe.contentWindow) {
-      this._log('Cannot send data: iframe not available');
-      return false;
-    }
-
-    if (!data || Object.keys(data).length === 0) {
-      this._log('No data to send to iframe');
-      return false;
-    }
+  _handleMessage(data) {
+    super._handleMessage(data);
 
-    try {
-      const message = {
-        type: 'entity-update',
-        data: data,
-        timestamp: Date.now(),
-        debug: this._debug
-      };
-
-      this._log('Sending data to iframe:', message);
-      this._iframe.contentWindow.postMessage(message, '*');
+    if (data && data.type === MESSAGE_ACK && this.isAcknowledged()) {
       this._retryCount = 0;
-      return true;
-    } catch (error) {
-      console.error('[IframeMessenger] Error sending data to iframe:', error);
-      return false;
     }
   }
 
   /**
-   * Sends configuration update to the iframe
-   * @param {Object} zones - Zone configurations
-   * @param {Object} activities - Activity configurations
-   * @param {string} markerBorderRadius - Marker border radius
-   * @param {string} badgeBorderRadius - Badge border radius
-   * @returns {boolean} True if sent successfully
+   * Checks whether the iframe can receive messages
+   * @returns {boolean} True if the iframe window is available
    */
-  sendConfigUpdate(zones, activities, markerBorderRadius, badgeBorderRadius, markerSize) {
-    if (!this._iframe || !this._iframe.contentWindow) {
-      this._log('Cannot send config update: iframe not available');
-      return false;
-    }
+  _canPost() {
+    return !!(this._iframe && this._iframe.contentWindow && this._origin);
+  }
 
-    try {
-      const message = {
-        type: 'config-update',
-        zones: zones,
-        activities: activities,
-        marker_border_radius: markerBorderRadius,
-        badge_border_radius: badgeBorderRadius,
-        marker_size: markerSize,
-        timestamp: Date.now()
-      };
-
-      this._log('Sending config update to iframe:', message);
-      this._iframe.contentWindow.postMessage(message, '*');
-      return true;
-    } catch (error) {
-      console.error('[IframeMessenger] Error sending config update to iframe:', error);
-      return false;
-    }
+  /**
+   * Posts a message into the iframe
+   * @param {Object} message - Message to post
+   */
+  _post(message) {
+    // Only delivered if the iframe still shows a page from the expected origin
+    this._iframe.contentWindow.postMessage({ ...message, channel: this._channel, token: this._token }, this._origin);
   }
 
   /**
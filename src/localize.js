@@ -0,0 +1,75 @@
+import en from './translations/en.js';
+import de from './translations/de.js';
+import fr from './translations/fr.js';
+
+/**
+ * Bundled translations keyed by language code. Strings missing from a language
+ * fall back to English.
+ */
+const TRANSLATIONS = { en, de, fr };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Gets the language the user picked in their Home Assistant profile
+ * @param {Object} hass - Home Assistant instance
+ * @returns {string} Language code, e.g. 'de' or 'en-GB'
+ */
+export function getLanguage(hass) {
+  return (hass && ((hass.locale && hass.locale.language) || hass.language)) ||
+    document.documentElement.lang ||
+    navigator.language ||
+    DEFAULT_LANGUAGE;
+}
+
+/**
+ * Looks up a dotted key in one language
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key, e.g. 'map.recenter'
+ * @returns {string|undefined} Translated string
+ */
+function lookup(language, key) {
+  const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), TRANSLATIONS[language]);
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translates a string
+ * @param {string} language - Language code; regional variants fall back to the base language, then to English
+ * @param {string} key - Dotted key, e.g. 'map.recenter'
+ * @param {Object} [params] - Values for {name} placeholders
+ * @param {string} [fallback] - Returned when no language has the key
+ * @returns {string} Translated string
+ */
+export function localize(language, key, params = {}, fallback = key) {
+  const code = (language || DEFAULT_LANGUAGE).toLowerCase();
+  const text = lookup(code, key) ?? lookup(code.split('-')[0], key) ?? lookup(DEFAULT_LANGUAGE, key) ?? fallback;
+
+  // Unknown placeholders stay as written, e.g. {z} in tile URL templates
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translates an activity name. The built-in English names are translated,
+ * names the user configured are shown as written.
+ * @param {string} language - Language code
+ * @param {string} state - Activity state, e.g. 'walking'
+ * @param {string} [name] - Configured display name
+ * @returns {string} Display name
+ */
+export function localizeActivity(language, state, name) {
+  const key = `activity.${state}`;
+  const builtIn = lookup(DEFAULT_LANGUAGE, key);
+  if (name && name !== builtIn) return name;
+
+  return localize(language, key, {}, name || state.charAt(0).toUpperCase() + state.slice(1).replace(/_/g, ' '));
+}
+
+/**
+ * Creates a translate function bound to one language
+ * @param {string} language - Language code
+ * @returns {Function} (key, params, fallback) => translated string
+ */
+export function createTranslator(language) {
+  return (key, params, fallback) => localize(language, key, params, fallback);
+}
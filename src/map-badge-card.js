@@ -1,8 +1,18 @@
 import { ConfigManager } from './config-manager.js';
 import { EntityDataFetcher } from './entity-data-fetcher.js';
+import { HistoryFetcher } from './history-fetcher.js';
 import { IframeMessenger } from './iframe-messenger.js';
+import { DirectMessenger } from './direct-messenger.js';
+import { createMapView } from './map-view.js';
 import { EditorUI } from './editor-ui.js';
 import { EditorHandlers } from './editor-handlers.js';
+import { getLanguage, localize } from './localize.js';
+
+// Folder this module was served from, e.g. /local/map-badge-card/ or /hacsfiles/map-badge-card/
+const CARD_BASE_URL = new URL('./', import.meta.url).href;
+
+// How long a loaded page may take to announce itself before the card reports an error
+const IFRAME_READY_TIMEOUT = 15000;
 
 /**
  * Main card component that integrates with Home Assistant
@@ -13,10 +23,31 @@ class MapBadgeCard extends HTMLElement {
     this._configManager = new ConfigManager();
     this._dataFetcher = new EntityDataFetcher();
     this._messenger = new IframeMessenger();
+    this._historyFetcher = new HistoryFetcher(this._dataFetcher);
+    this._trailsLoaded = false;
+    this._trailsChanged = false;
     this._updateInterval = null;
+    this._updateTimeout = null;
+    this._lastUpdateTime = 0;
+    this._lastEntitySignature = null;
     this._retryInterval = null;
     this._pendingData = null;
+    this._lastZonesJson = null;
+    this._lastThemeJson = null;
+    this._hass = null;
     this._iframe = null;
+    this._mapView = null;
+    this._iframeResponded = false;
+    this._loadTimeout = null;
+    this._language = null;
+    this._positionsRequested = new Set(); // entities whose last known position was looked up
+
+    this._dataFetcher.onNewPosition((entityId, position) => {
+      if (this._configManager.getConfig().show_trails &&
+          this._historyFetcher.appendPosition(entityId, position)) {
+        this._trailsChanged = true;
+      }
+    });
   }
 
   setConfig(config) {
@@ -33,6 +64,16 @@ class MapBadgeCard extends HTMLElement {
     this._dataFetcher.setDebugMode(newConfig.debug);
     this._dataFetcher.setEntities(newConfig.entities);
     this._messenger.setDebugMode(newConfig.debug);
+    this._messenger.setUnits(this._getUnits());
+    this._historyFetcher.setDebugMode(newConfig.debug);
+    this._historyFetcher.setTrailHours(newConfig.trail_hours);
+    this._historyFetcher.setMaxGpsAccuracy(newConfig.max_gps_accuracy);
+
+    // Reload recorded trails when the tracked entities or time window change
+    if (!oldConfig || this._configManager.hasChanged(oldConfig, ['entities', 'show_trails', 'trail_hours', 'max_gps_accuracy'])) {
+      this._historyFetcher.clearTrails();
+      this._trailsLoaded = false;
+    }
 
     // Check if only visual config changed
     const visualPropsChanged = this._configManager.hasChanged(oldConfig, [
@@ -43,24 +84,56 @@ class MapBadgeCard extends HTMLElement {
       'marker_size'
     ]);
 
-    if (visualPropsChanged && this._iframe && this._messenger.isReady()) {
+    if (visualPropsChanged && (this._iframe || this._mapView) && this._messenger.isReady()) {
       this._sendConfigUpdate();
     } else {
       this._render();
     }
 
+    // Theme changes are applied live
+    if (this._configManager.hasChanged(oldConfig, ['theme_mode'])) {
+      this._sendTheme();
+    }
+
     // If activity_source or speed_source changed, trigger data fetch immediately
     if ((activitySourceChanged || speedSourceChanged) && this._updateInterval) {
       this._fetchEntities();
     }
+
+    // The stale check runs every update_interval
+    if (this._configManager.hasChanged(oldConfig, ['update_interval']) && this._updateInterval) {
+      this._startEntityUpdates();
+    }
   }
 
   set hass(hass) {
+    const themesChanged = hass && (!this._hass || hass.themes !== this._hass.themes);
+    this._hass = hass;
     this._dataFetcher.setHass(hass);
+    this._historyFetcher.setHass(hass);
+    this._messenger.setUnits(this._getUnits());
+
+    // Map controls and popups are labelled when the map is built, so a new language needs a new map
+    if (hass && this._language && getLanguage(hass) !== this._language) {
+      this._render();
+    }
+
+    // Follow dark mode and theme switches without reloading the iframe
+    if (themesChanged) {
+      this._sendTheme();
+    }
+
+    // Load recorded trails once hass is available
+    if (hass && !this._trailsLoaded && this._configManager.getConfig()?.show_trails) {
+      this._loadTrails();
+    }
 
     // Start fetching entity data when hass is available
     if (hass && !this._updateInterval) {
       this._startEntityUpdates();
+    } else if (hass && this._haveEntitiesChanged()) {
+      // Home Assistant sets hass on every state change anywhere, most of which don't concern this card
+      this._scheduleUpdate();
     }
 
     // If we have pending data and iframe is ready, send it
@@ -74,9 +147,12 @@ class MapBadgeCard extends HTMLElement {
     const config = this._configManager.getConfig();
 
     // Fetch entities immediately
+    this._haveEntitiesChanged();
     this._fetchEntities();
 
-    // Set up interval for updates
+    // Changes arrive through the hass setter. The interval recomputes what changes without them:
+    // calculated speed decaying after a stop, predicted activity settling and markers going stale.
+    // Only entities whose data actually changed are sent to the map.
     if (this._updateInterval) {
       clearInterval(this._updateInterval);
     }
@@ -86,19 +162,183 @@ class MapBadgeCard extends HTMLElement {
     }, config.update_interval * 1000);
   }
 
+  /**
+   * Checks whether an entity the card reads was updated since the last call
+   * @returns {boolean} True if a tracked entity, one of its sensors or a zone changed
+   */
+  _haveEntitiesChanged() {
+    const config = this._configManager.getConfig();
+    if (!config || !this._hass) return false;
+
+    const states = this._hass.states;
+    const entityIds = config.entities.flatMap(entity => [
+      entity.person,
+      entity.activity,
+      entity.speed,
+      entity.proximity,
+      ...(entity.extra_entities || []).map(extra => (typeof extra === 'string' ? extra : extra.entity))
+    ]);
+
+    // Zones feed the zone overlays, state names and the distance shown in popups
+    entityIds.push(config.distance_zone);
+    entityIds.push(...Object.keys(states).filter(entityId => entityId.startsWith('zone.')));
+
+    const signature = [...new Set(entityIds.filter(Boolean))]
+      .map(entityId => `${entityId}:${states[entityId] ? states[entityId].last_updated : ''}`)
+      .join('|');
+
+    const changed = signature !== this._lastEntitySignature;
+    this._lastEntitySignature = signature;
+    return changed;
+  }
+
+  /**
+   * Fetches entity data now, or at the end of the update_throttle window
+   */
+  _scheduleUpdate() {
+    if (this._updateTimeout) return;
+
+    const config = this._configManager.getConfig();
+    const wait = this._lastUpdateTime + config.update_throttle * 1000 - Date.now();
+
+    if (wait <= 0) {
+      this._fetchEntities();
+      return;
+    }
+
+    // Changes during the wait are picked up by the one fetch at its end
+    this._updateTimeout = setTimeout(() => {
+      this._updateTimeout = null;
+      this._fetchEntities();
+    }, wait);
+  }
+
   async _fetchEntities() {
     const config = this._configManager.getConfig();
+    this._lastUpdateTime = Date.now();
     const data = await this._dataFetcher.fetchEntities(config);
+    this._loadLastKnownPositions();
 
     if (!data) return;
 
     if (this._messenger.isReady()) {
+      // Zones first, so a view centered on a zone is ready when the markers arrive
+      this._sendZones();
       this._messenger.sendData(data);
+
+      if (this._trailsChanged) {
+        this._sendTrails();
+      }
     } else {
       this._pendingData = data;
     }
   }
 
+  async _loadLastKnownPositions() {
+    // Entities that were already unavailable when the card loaded are placed where the recorder last saw them
+    const entityIds = this._dataFetcher.getMissingPositions().filter(id => !this._positionsRequested.has(id));
+    if (entityIds.length === 0) return;
+
+    entityIds.forEach(id => this._positionsRequested.add(id));
+
+    try {
+      const positions = await this._historyFetcher.fetchLastPositions(entityIds);
+      Object.entries(positions).forEach(([entityId, position]) => {
+        this._dataFetcher.setLastKnownPosition(entityId, position);
+      });
+
+      if (Object.keys(positions).length > 0) {
+        this._fetchEntities();
+      }
+    } catch (error) {
+      console.error('[Card] Error loading last known positions:', error);
+    }
+  }
+
+  _sendZones() {
+    const config = this._configManager.getConfig();
+    if (!config.show_zones && !this._configManager.usesZoneView()) return;
+
+    // Zones rarely change, so only send them when something differs
+    const zones = this._dataFetcher.fetchZones();
+    const zonesJson = JSON.stringify(zones);
+    if (zonesJson === this._lastZonesJson) return;
+
+    if (this._messenger.sendZones(zones)) {
+      this._lastZonesJson = zonesJson;
+    }
+  }
+
+  _getTheme() {
+    const config = this._configManager.getConfig();
+    const dark = config.theme_mode === 'auto'
+      ? !!(this._hass && this._hass.themes && this._hass.themes.darkMode)
+      : config.theme_mode === 'dark';
+
+    // A forced mode ignores the dashboard colors, which may belong to the other mode
+    if (config.theme_mode !== 'auto') {
+      return { dark: dark, colors: {} };
+    }
+
+    const styles = getComputedStyle(this);
+    const read = (name) => styles.getPropertyValue(name).trim();
+
+    return {
+      dark: dark,
+      colors: {
+        background: read('--card-background-color') || read('--ha-card-background'),
+        text: read('--primary-text-color'),
+        secondary_text: read('--secondary-text-color'),
+        divider: read('--divider-color'),
+        primary: read('--primary-color')
+      }
+    };
+  }
+
+  _sendTheme() {
+    if (!this._messenger.isReady()) return;
+
+    const theme = this._getTheme();
+    const themeJson = JSON.stringify(theme);
+    if (themeJson === this._lastThemeJson) return;
+
+    if (this._messenger.sendTheme(theme)) {
+      this._lastThemeJson = themeJson;
+    }
+  }
+
+  async _loadTrails() {
+    const config = this._configManager.getConfig();
+    this._trailsLoaded = true;
+
+    // On failure the trails still fill up with live positions
+    const entityIds = config.entities.map(e => e.person).filter(Boolean);
+    if (await this._historyFetcher.loadTrails(entityIds)) {
+      this._sendTrails();
+    }
+  }
+
+  _sendTrails() {
+    const config = this._configManager.getConfig();
+    if (!config.show_trails || !this._messenger.isReady()) return;
+
+    if (this._messenger.sendTrails(this._historyFetcher.getTrails())) {
+      this._trailsChanged = false;
+    }
+  }
+
+  async _loadPlayback(date) {
+    const config = this._configManager.getConfig();
+
+    try {
+      const frames = await this._historyFetcher.fetchPlayback(config.entities, date, config);
+      this._messenger.sendHistory(date, frames);
+    } catch (error) {
+      console.error('[Card] Error loading playback history:', error);
+      this._messenger.sendHistory(date, null, error.message || String(error));
+    }
+  }
+
   _sendConfigUpdate() {
     const config = this._configManager.getConfig();
     this._messenger.sendConfigUpdate(
@@ -114,31 +354,110 @@ class MapBadgeCard extends HTMLElement {
     const config = this._configManager.getConfig();
     if (!config) return;
 
-    const params = this._configManager.buildIframeParams();
-    const iframeUrl = `/local/map-badge-card/map-badge-v2.html?${params.toString()}`;
+    const direct = this._useDirectRendering(config);
+    this._prepareMessenger(direct);
+    this._language = getLanguage(this._hass);
 
-    this.innerHTML = `
-      <ha-card style="height: 100%; display: flex; flex-direction: column;">
-        <div style="padding: 0; margin: 0; overflow: hidden; position: relative; flex: 1;">
-          <iframe
+    if (this._mapView) {
+      this._mapView.destroy();
+      this._mapView = null;
+    }
+
+    const iframeUrl = direct ? null : this._configManager.buildIframeUrl(
+      CARD_BASE_URL,
+      this._language,
+      this._messenger.getChannel(),
+      this._messenger.getToken()
+    );
+    const mapHtml = direct
+      ? `<div id="map-badge-direct" style="width: 100%; height: 100%; min-height: 150px;"></div>`
+      : `<iframe
             id="map-badge-iframe"
             src="${iframeUrl}"
             style="width: 100%; height: 100%; border: none; display: block; margin: 0; padding: 0;"
             allowfullscreen
-          ></iframe>
+          ></iframe>`;
+
+    this.innerHTML = `
+      <ha-card style="height: 100%; display: flex; flex-direction: column;">
+        <div style="padding: 0; margin: 0; overflow: hidden; position: relative; flex: 1;">
+          ${mapHtml}
           ${this._renderDebugInfo(config)}
+          <div id="map-badge-error" style="display: none; position: absolute; top: 0; left: 0; right: 0; padding: 8px; z-index: 1001;"></div>
         </div>
       </ha-card>
     `;
 
-    this._setupIframe();
+    if (direct) {
+      this._setupDirectView();
+    } else {
+      this._setupIframe(iframeUrl);
+    }
+  }
+
+  _useDirectRendering(config) {
+    if (config.render_mode !== 'direct') return false;
+
+    // Google Maps injects its styles into the page, where they can't reach a shadow root
+    if (config.map_provider === 'google') {
+      console.warn('[Card] render_mode "direct" supports OpenStreetMap only, using the iframe for Google Maps');
+      return false;
+    }
+    return true;
+  }
+
+  _prepareMessenger(direct) {
+    if (direct === this._messenger instanceof DirectMessenger) return;
+
+    const debug = this._configManager.getConfig().debug;
+    this._messenger.stopListening();
+    this._messenger = direct ? new DirectMessenger(debug) : new IframeMessenger(debug);
+    this._messenger.setUnits(this._getUnits());
+  }
+
+  _getUnits() {
+    const config = this._configManager.getConfig();
+    if (config && config.units !== 'auto') {
+      return config.units;
+    }
+
+    // Home Assistant's imperial unit system measures length in miles
+    const unitSystem = this._hass && this._hass.config && this._hass.config.unit_system;
+    return unitSystem && unitSystem.length === 'mi' ? 'imperial' : 'metric';
+  }
+
+  _setupDirectView() {
+    const host = this.querySelector('#map-badge-direct');
+    this._iframe = null;
+    this._lastZonesJson = null;
+
+    // The direct view needs none of the iframe timers
+    if (this._retryInterval) {
+      clearInterval(this._retryInterval);
+      this._retryInterval = null;
+    }
+    if (this._loadTimeout) {
+      clearTimeout(this._loadTimeout);
+      this._loadTimeout = null;
+    }
+
+    this._setupMessengerCallbacks();
+    this._messenger.startListening();
+
+    const root = host.attachShadow({ mode: 'open' });
+    this._mapView = createMapView(
+      root,
+      this._configManager.buildIframeParams(this._language),
+      (message) => this._messenger.receive(message)
+    );
+    this._messenger.setView(this._mapView);
   }
 
   _renderDebugInfo(config) {
     if (!config.debug) return '';
 
     return `
-      <div style="position: absolute; top: 5px; right: 5px; background: rgba(255,255,255,0.9); padding: 5px; font-size: 10px; z-index: 1000;">
+      <div style="position: absolute; top: 5px; right: 5px; background: var(--card-background-color, white); color: var(--primary-text-color, black); opacity: 0.9; padding: 5px; font-size: 10px; z-index: 1000;">
         <div>Debug Mode ON</div>
         <div>Entities: ${config.entities.length}</div>
         <div>Cache: ${Object.keys(this._dataFetcher.getCache()).length}</div>
@@ -147,9 +466,11 @@ class MapBadgeCard extends HTMLElement {
     `;
   }
 
-  _setupIframe() {
+  _setupIframe(iframeUrl) {
     this._iframe = this.querySelector('#map-badge-iframe');
     this._messenger.setIframe(this._iframe);
+    this._lastZonesJson = null;
+    this._iframeResponded = false;
 
     if (this._iframe) {
       // Handle iframe load event
@@ -169,7 +490,19 @@ class MapBadgeCard extends HTMLElement {
     }
 
     // Set up message listener
+    this._setupMessengerCallbacks();
+    this._messenger.startListening();
+
+    // Set up periodic retry mechanism
+    this._setupRetryInterval();
+
+    this._checkIframePage(iframeUrl);
+  }
+
+  _setupMessengerCallbacks() {
     this._messenger.onReady(() => {
+      this._iframeResponded = true;
+      this._showLoadError(null);
       this._sendPendingOrCachedData();
     });
 
@@ -177,13 +510,106 @@ class MapBadgeCard extends HTMLElement {
       this._fetchEntities();
     });
 
-    this._messenger.startListening();
+    this._messenger.onHistoryRequest((date) => {
+      this._loadPlayback(date);
+    });
 
-    // Set up periodic retry mechanism
-    this._setupRetryInterval();
+    this._messenger.onError((error) => {
+      this._showLoadError(error);
+    });
+
+    this._messenger.onMarkerAction((entityId, action) => {
+      this._handleMarkerAction(entityId, action);
+    });
+  }
+
+  _handleMarkerAction(entityId, action) {
+    const config = this._configManager.getConfig();
+    const actionConfig = config[`${action}_action`];
+    if (!actionConfig || actionConfig.action === 'none') return;
+
+    // more-info opens the tapped entity unless the action names another one
+    if (actionConfig.action === 'more-info') {
+      this.dispatchEvent(new CustomEvent('hass-more-info', {
+        detail: { entityId: actionConfig.entity || entityId },
+        bubbles: true,
+        composed: true
+      }));
+      return;
+    }
+
+    // Home Assistant runs navigate, url, perform-action and the rest like for any other card
+    this.dispatchEvent(new CustomEvent('hass-action', {
+      detail: {
+        config: {
+          entity: entityId,
+          tap_action: config.tap_action,
+          hold_action: config.hold_action,
+          double_tap_action: config.double_tap_action
+        },
+        action: action
+      },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  async _checkIframePage(iframeUrl) {
+    const url = new URL(iframeUrl);
+    const pageUrl = url.origin + url.pathname;
+
+    if (this._loadTimeout) {
+      clearTimeout(this._loadTimeout);
+    }
+
+    // A page that loads but never talks to the card is the wrong file or broken
+    this._loadTimeout = setTimeout(() => {
+      this._loadTimeout = null;
+      if (!this._iframeResponded) {
+        this._showLoadError(localize(this._language, 'card.page_not_responding', { url: pageUrl }));
+      }
+    }, IFRAME_READY_TIMEOUT);
+
+    // The iframe load event fires for 404 pages too, so ask the server directly.
+    // Cross-origin pages cannot be checked this way and rely on the timeout.
+    if (url.origin !== window.location.origin) return;
+
+    try {
+      const response = await fetch(pageUrl, { method: 'HEAD', cache: 'no-store' });
+      if (!response.ok && !this._iframeResponded) {
+        this._showLoadError(localize(this._language, 'card.page_http_error', { url: pageUrl, status: response.status }));
+      }
+    } catch (error) {
+      if (!this._iframeResponded) {
+        this._showLoadError(localize(this._language, 'card.page_load_error', { url: pageUrl, error: error.message || error }));
+      }
+    }
+  }
+
+  _showLoadError(message) {
+    const container = this.querySelector('#map-badge-error');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = message ? 'block' : 'none';
+    if (!message) return;
+
+    console.error('[Card]', message);
+    const alert = document.createElement('ha-alert');
+    alert.setAttribute('alert-type', 'error');
+    alert.setAttribute('title', localize(this._language, 'card.load_error_title'));
+    alert.textContent = message;
+    container.appendChild(alert);
   }
 
   _sendPendingOrCachedData() {
+    // A (re)loaded iframe has no theme or zones yet
+    this._lastThemeJson = null;
+    this._sendTheme();
+    this._lastZonesJson = null;
+    this._sendZones();
+    this._sendTrails();
+
     if (this._pendingData) {
       this._messenger.sendData(this._pendingData);
       this._pendingData = null;
@@ -200,33 +626,46 @@ class MapBadgeCard extends HTMLElement {
     }
 
     this._retryInterval = setInterval(() => {
+      // A message the map never acknowledged may have been lost, so start over with an init
       if (this._messenger.isReady() &&
+          !this._messenger.isAcknowledged() &&
           this._messenger.getRetryCount() < 3 &&
           this._dataFetcher.hasData()) {
-
-        const now = Date.now();
-        const lastUpdate = this._dataFetcher.getLastUpdateTime();
-
-        // If data is less than 30 seconds old, retry
-        if (now - lastUpdate < 30000) {
-          this._messenger.sendData(this._dataFetcher.prepareEntityData(this._configManager.getConfig()));
-          this._messenger.incrementRetryCount();
-        }
+        this._messenger.resync();
+        this._messenger.sendData(this._dataFetcher.prepareEntityData(this._configManager.getConfig()));
+        this._messenger.incrementRetryCount();
       }
     }, 5000);
   }
 
+  connectedCallback() {
+    // Resume after being moved, e.g. when the dashboard switches views
+    if (this._iframe || this._mapView) {
+      this._messenger.startListening();
+    }
+  }
+
   disconnectedCallback() {
     if (this._updateInterval) {
       clearInterval(this._updateInterval);
       this._updateInterval = null;
     }
 
+    if (this._updateTimeout) {
+      clearTimeout(this._updateTimeout);
+      this._updateTimeout = null;
+    }
+
     if (this._retryInterval) {
       clearInterval(this._retryInterval);
       this._retryInterval = null;
     }
 
+    if (this._loadTimeout) {
+      clearTimeout(this._loadTimeout);
+      this._loadTimeout = null;
+    }
+
     this._messenger.stopListening();
   }
 
@@ -255,7 +694,13 @@ class MapBadgeCardEditor extends HTMLElement {
   }
 
   set hass(hass) {
+    const languageChanged = this._config && getLanguage(hass) !== getLanguage(this._hass);
     this._hass = hass;
+
+    // Labels follow the language of the Home Assistant profile
+    if (languageChanged) {
+      this._render();
+    }
   }
 
   setConfig(config) {
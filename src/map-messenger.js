@@ -0,0 +1,424 @@
+import {
+  PROTOCOL_VERSION,
+  MESSAGE_INIT,
+  MESSAGE_ENTITY_PATCH,
+  MESSAGE_ENTITY_REMOVE,
+  MESSAGE_CONFIG_PATCH,
+  MESSAGE_ACK
+} from './map-protocol.js';
+
+/**
+ * Exchanges messages with the map view. Subclasses decide how messages travel:
+ * IframeMessenger posts them into the legacy iframe, DirectMessenger hands them
+ * to a map view rendered inside the card.
+ *
+ * Entity data and the visual config are sent as deltas against what the map already
+ * has (see map-protocol.js), so unchanged markers are left alone.
+ */
+export class MapMessenger {
+  constructor(debugMode = false) {
+    this._ready = false;
+    this._debug = debugMode;
+    this._units = 'metric';
+    this._readyCallback = null;
+    this._dataRequestCallback = null;
+    this._historyRequestCallback = null;
+    this._errorCallback = null;
+    this._markerActionCallback = null;
+    this._seq = 0;
+    this._ackedSeq = 0;
+    this._sentEntities = null; // entityId → JSON of the data the map has, null until an init is sent
+    this._sentUnits = null;
+    this._sentConfig = null; // visual config changed at runtime, null while the map uses its URL parameters
+  }
+
+  /**
+   * Logs debug messages
+   * @param {string} message - Message to log
+   * @param {...any} args - Additional arguments
+   */
+  _log(message, ...args) {
+    if (this._debug) {
+      console.log(`[${this.constructor.name} ${new Date().toISOString()}] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Gets the map ready state
+   * @returns {boolean} True if the map is ready
+   */
+  isReady() {
+    return this._ready;
+  }
+
+  /**
+   * Marks the map as ready
+   */
+  markReady() {
+    this._ready = true;
+  }
+
+  /**
+   * Forgets what the map has, so the next sendData sends an init
+   */
+  resync() {
+    this._sentEntities = null;
+  }
+
+  /**
+   * Forgets everything sent to the map, for a newly created map
+   */
+  reset() {
+    this._ready = false;
+    this._sentEntities = null;
+    this._sentConfig = null;
+  }
+
+  /**
+   * Checks whether the map applied the latest numbered message
+   * @returns {boolean} True if the map acknowledged everything sent
+   */
+  isAcknowledged() {
+    return this._ackedSeq >= this._seq;
+  }
+
+  /**
+   * Sets debug mode
+   * @param {boolean} debug - Debug mode flag
+   */
+  setDebugMode(debug) {
+    this._debug = debug;
+  }
+
+  /**
+   * Sets the unit system the map formats speed and distance in
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  setUnits(units) {
+    this._units = units;
+  }
+
+  /**
+   * Sets the callback for when the map is ready
+   * @param {Function} callback - Callback function
+   */
+  onReady(callback) {
+    this._readyCallback = callback;
+  }
+
+  /**
+   * Sets the callback for when the map requests data
+   * @param {Function} callback - Callback function
+   */
+  onDataRequest(callback) {
+    this._dataRequestCallback = callback;
+  }
+
+  /**
+   * Sets the callback for when the map requests recorded history for playback
+   * @param {Function} callback - Callback function, called with the requested date (YYYY-MM-DD)
+   */
+  onHistoryRequest(callback) {
+    this._historyRequestCallback = callback;
+  }
+
+  /**
+   * Sets the callback for when the map fails to load its libraries
+   * @param {Function} callback - Callback function, called with the error message
+   */
+  onError(callback) {
+    this._errorCallback = callback;
+  }
+
+  /**
+   * Sets the callback for when a marker is tapped, held or double tapped
+   * @param {Function} callback - Callback function, called with the entity ID and 'tap', 'hold' or 'double_tap'
+   */
+  onMarkerAction(callback) {
+    this._markerActionCallback = callback;
+  }
+
+  /**
+   * Starts accepting messages from the map
+   */
+  startListening() {
+    throw new Error(`${this.constructor.name} must implement startListening()`);
+  }
+
+  /**
+   * Stops accepting messages from the map
+   */
+  stopListening() {
+    throw new Error(`${this.constructor.name} must implement stopListening()`);
+  }
+
+  /**
+   * Checks whether messages can be delivered to the map
+   * @returns {boolean} True if the map can receive messages
+   */
+  _canPost() {
+    return false;
+  }
+
+  /**
+   * Delivers a message to the map
+   * @param {Object} message - Message to deliver
+   */
+  _post(message) {
+    throw new Error(`${this.constructor.name} must implement _post()`);
+  }
+
+  /**
+   * Handles a message from the map
+   * @param {Object} data - Message data
+   */
+  _handleMessage(data) {
+    if (!data) return;
+
+    switch (data.type) {
+      case 'iframe-ready':
+        this._log('Map reports ready');
+        // A map that (re)announces itself starts without entities
+        this._ready = true;
+        this.resync();
+        if (this._readyCallback) {
+          this._readyCallback();
+        }
+        break;
+
+      case 'request-data':
+        this._log('Map requesting data');
+        this.resync();
+        if (this._dataRequestCallback) {
+          this._dataRequestCallback();
+        }
+        break;
+
+      case 'request-history':
+        this._log('Map requesting history for', data.date);
+        if (this._historyRequestCallback) {
+          this._historyRequestCallback(data.date);
+        }
+        break;
+
+      case 'map-error':
+        console.error(`[${this.constructor.name}] Map reported an error:`, data.error);
+        if (this._errorCallback) {
+          this._errorCallback(data.error);
+        }
+        break;
+
+      case 'marker-action':
+        this._log(`Marker ${data.action} on`, data.entity_id);
+        if (this._markerActionCallback) {
+          this._markerActionCallback(data.entity_id, data.action);
+        }
+        break;
+
+      case MESSAGE_ACK:
+        this._log('Map acknowledged message', data.seq);
+        this._ackedSeq = Math.max(this._ackedSeq, data.seq || 0);
+        break;
+    }
+  }
+
+  /**
+   * Sends a message to the map
+   * @param {Object} message - Message to send
+   * @param {string} description - What is being sent, for logging
+   * @returns {boolean} True if sent successfully
+   */
+  _send(message, description) {
+    if (!this._canPost()) {
+      this._log(`Cannot send ${description}: map not available`);
+      return false;
+    }
+
+    try {
+      this._log(`Sending ${description} to map:`, message);
+      this._post(message);
+      return true;
+    } catch (error) {
+      console.error(`[${this.constructor.name}] Error sending ${description} to map:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Sends a numbered protocol message to the map
+   * @param {string} type - Message type from map-protocol.js
+   * @param {Object} fields - Message fields
+   * @param {string} description - What is being sent, for logging
+   * @returns {boolean} True if sent successfully
+   */
+  _sendNumbered(type, fields, description) {
+    const sent = this._send({
+      type: type,
+      version: PROTOCOL_VERSION,
+      seq: this._seq + 1,
+      ...fields,
+      timestamp: Date.now()
+    }, description);
+
+    if (sent) {
+      this._seq++;
+    }
+    return sent;
+  }
+
+  /**
+   * Sends entity data to the map. The first call after a (re)start sends everything,
+   * later calls only the entities that changed or disappeared.
+   * @param {Object} data - Entity data keyed by entity ID
+   * @returns {boolean} True if the map is up to date
+   */
+  sendData(data) {
+    if (!data || Object.keys(data).length === 0) {
+      this._log('No data to send to map');
+      return false;
+    }
+
+    const entities = {};
+    Object.entries(data).forEach(([entityId, entityData]) => {
+      entities[entityId] = JSON.stringify(entityData);
+    });
+
+    // Labels depend on the unit system, so a unit change redraws everything
+    if (!this._sentEntities || this._sentUnits !== this._units) {
+      const sent = this._sendNumbered(MESSAGE_INIT, {
+        data: data,
+        units: this._units,
+        config: this._sentConfig,
+        debug: this._debug
+      }, 'init');
+
+      if (sent) {
+        this._sentEntities = entities;
+        this._sentUnits = this._units;
+      }
+      return sent;
+    }
+
+    const changed = {};
+    Object.keys(entities).forEach(entityId => {
+      if (entities[entityId] !== this._sentEntities[entityId]) {
+        changed[entityId] = data[entityId];
+      }
+    });
+    const removed = Object.keys(this._sentEntities).filter(entityId => !(entityId in entities));
+
+    if (removed.length > 0) {
+      if (!this._sendNumbered(MESSAGE_ENTITY_REMOVE, { entity_ids: removed }, 'entity removal')) {
+        return false;
+      }
+      removed.forEach(entityId => delete this._sentEntities[entityId]);
+    }
+
+    if (Object.keys(changed).length === 0) {
+      this._log('Map is up to date');
+      return true;
+    }
+
+    if (!this._sendNumbered(MESSAGE_ENTITY_PATCH, { data: changed, units: this._units }, `${Object.keys(changed).length} changed entities`)) {
+      return false;
+    }
+    Object.keys(changed).forEach(entityId => {
+      this._sentEntities[entityId] = entities[entityId];
+    });
+    return true;
+  }
+
+  /**
+   * Sends configuration update to the map
+   * @param {Object} zones - Zone configurations
+   * @param {Object} activities - Activity configurations
+   * @param {string} markerBorderRadius - Marker border radius
+   * @param {string} badgeBorderRadius - Badge border radius
+   * @param {string} markerSize - Marker size preset
+   * @returns {boolean} True if sent successfully
+   */
+  sendConfigUpdate(zones, activities, markerBorderRadius, badgeBorderRadius, markerSize) {
+    const config = {
+      zones: zones,
+      activities: activities,
+      marker_border_radius: markerBorderRadius,
+      badge_border_radius: badgeBorderRadius,
+      marker_size: markerSize
+    };
+
+    // Only keys that differ from what the map has; the map starts from its URL parameters
+    const changed = {};
+    Object.keys(config).forEach(key => {
+      if (!this._sentConfig || JSON.stringify(config[key]) !== JSON.stringify(this._sentConfig[key])) {
+        changed[key] = config[key];
+      }
+    });
+
+    if (Object.keys(changed).length === 0) {
+      this._log('Map config is up to date');
+      return true;
+    }
+
+    const sent = this._sendNumbered(MESSAGE_CONFIG_PATCH, { config: changed }, 'config patch');
+    if (sent) {
+      this._sentConfig = config;
+    }
+    return sent;
+  }
+
+  /**
+   * Sends Home Assistant zone data to the map
+   * @param {Object} zones - Zone data keyed by entity ID
+   * @returns {boolean} True if sent successfully
+   */
+  sendZones(zones) {
+    return this._send({
+      type: 'zone-update',
+      zones: zones,
+      timestamp: Date.now()
+    }, 'zones');
+  }
+
+  /**
+   * Sends location trails to the map
+   * @param {Object} trails - Trail points keyed by entity ID
+   * @returns {boolean} True if sent successfully
+   */
+  sendTrails(trails) {
+    return this._send({
+      type: 'trail-update',
+      trails: trails,
+      timestamp: Date.now()
+    }, 'trails');
+  }
+
+  /**
+   * Sends the dashboard theme to the map
+   * @param {Object} theme - Theme with dark flag and colors (background, text, secondary_text, divider, primary)
+   * @returns {boolean} True if sent successfully
+   */
+  sendTheme(theme) {
+    return this._send({
+      type: 'theme-update',
+      theme: theme,
+      timestamp: Date.now()
+    }, 'theme');
+  }
+
+  /**
+   * Sends recorded history frames for playback to the map
+   * @param {string} date - Day the frames belong to (YYYY-MM-DD)
+   * @param {Object|null} frames - Frames keyed by entity ID, or null on failure
+   * @param {string} [error] - Error message if history could not be loaded
+   * @returns {boolean} True if sent successfully
+   */
+  sendHistory(date, frames, error = null) {
+    return this._send({
+      type: 'history-data',
+      date: date,
+      frames: frames,
+      error: error,
+      timestamp: Date.now()
+    }, 'history');
+  }
+}
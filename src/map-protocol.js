@@ -0,0 +1,24 @@
+/**
+ * Messages between the card and the map view.
+ *
+ * Card to map, numbered with a sequence number (seq) that grows by one per message:
+ * - init: every entity, the unit system and, once changed at runtime, the visual config.
+ *   Replaces whatever the map showed before and restarts the sequence.
+ * - entity-patch: entities whose data changed since the previous message
+ * - entity-remove: entities that are no longer tracked
+ * - config-patch: changed keys of the visual config (zones, activities, radii, marker size)
+ *
+ * Map to card:
+ * - ack: the map applied the message with this seq
+ * - request-data: the map missed a message and needs a new init
+ *
+ * Zones, trails, theme and history are sent whole and are not numbered.
+ */
+export const PROTOCOL_VERSION = 2;
+
+// Types of the numbered messages
+export const MESSAGE_INIT = 'init';
+export const MESSAGE_ENTITY_PATCH = 'entity-patch';
+export const MESSAGE_ENTITY_REMOVE = 'entity-remove';
+export const MESSAGE_CONFIG_PATCH = 'config-patch';
+export const MESSAGE_ACK = 'ack';
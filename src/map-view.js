@@ -0,0 +1,2928 @@
+/**
+ * Map rendering shared by the iframe page (map-badge-v2.html) and the card's direct mode.
+ * Draws person markers, popups, zones, trails and history playback with Leaflet or Google Maps,
+ * and exchanges the same messages with the card in both modes.
+ */
+
+import { DEFAULT_LANGUAGE, localize, localizeActivity } from './localize.js';
+import { MARKER_SIZES } from './constants.js';
+import {
+  PROTOCOL_VERSION,
+  MESSAGE_INIT,
+  MESSAGE_ENTITY_PATCH,
+  MESSAGE_ENTITY_REMOVE,
+  MESSAGE_CONFIG_PATCH,
+  MESSAGE_ACK
+} from './map-protocol.js';
+
+// Folder this module was served from; local copies of Leaflet and MDI live next to it
+const MODULE_BASE_URL = new URL('./', import.meta.url).href;
+
+// Google Maps "night" style, used when the dashboard is in dark mode
+const GOOGLE_DARK_STYLE = [
+  { elementType: 'geometry', stylers: [{ color: '#242f3e' }] },
+  { elementType: 'labels.text.stroke', stylers: [{ color: '#242f3e' }] },
+  { elementType: 'labels.text.fill', stylers: [{ color: '#746855' }] },
+  { featureType: 'administrative.locality', elementType: 'labels.text.fill', stylers: [{ color: '#d59563' }] },
+  { featureType: 'poi', elementType: 'labels.text.fill', stylers: [{ color: '#d59563' }] },
+  { featureType: 'poi.park', elementType: 'geometry', stylers: [{ color: '#263c3f' }] },
+  { featureType: 'poi.park', elementType: 'labels.text.fill', stylers: [{ color: '#6b9a76' }] },
+  { featureType: 'road', elementType: 'geometry', stylers: [{ color: '#38414e' }] },
+  { featureType: 'road', elementType: 'geometry.stroke', stylers: [{ color: '#212a37' }] },
+  { featureType: 'road', elementType: 'labels.text.fill', stylers: [{ color: '#9ca5b3' }] },
+  { featureType: 'road.highway', elementType: 'geometry', stylers: [{ color: '#746855' }] },
+  { featureType: 'road.highway', elementType: 'geometry.stroke', stylers: [{ color: '#1f2835' }] },
+  { featureType: 'road.highway', elementType: 'labels.text.fill', stylers: [{ color: '#f3d19c' }] },
+  { featureType: 'transit', elementType: 'geometry', stylers: [{ color: '#2f3948' }] },
+  { featureType: 'transit.station', elementType: 'labels.text.fill', stylers: [{ color: '#d59563' }] },
+  { featureType: 'water', elementType: 'geometry', stylers: [{ color: '#17263c' }] },
+  { featureType: 'water', elementType: 'labels.text.fill', stylers: [{ color: '#515c6d' }] },
+  { featureType: 'water', elementType: 'labels.text.stroke', stylers: [{ color: '#17263c' }] }
+];
+
+// Leaflet and the MDI icon font come from a CDN or from local copies next to this module,
+// each falling back to the other so the map also works offline or behind a strict CSP
+const CDN_ASSETS = {
+  leafletCss: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  leafletJs: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  mdiCss: 'https://cdnjs.cloudflare.com/ajax/libs/MaterialDesign-Webfont/7.2.96/css/materialdesignicons.min.css'
+};
+
+const LOCAL_ASSETS = {
+  leafletCss: 'leaflet/leaflet.css',
+  leafletJs: 'leaflet/leaflet.js',
+  mdiCss: 'mdi/css/materialdesignicons.min.css'
+};
+
+function getAssetUrls(assetBase, name) {
+  if (assetBase === 'cdn') {
+    return [CDN_ASSETS[name], MODULE_BASE_URL + LOCAL_ASSETS[name]];
+  }
+
+  const base = assetBase === 'local' ? MODULE_BASE_URL : assetBase.replace(/\/?$/, '/');
+  return [base + LOCAL_ASSETS[name], CDN_ASSETS[name]];
+}
+
+// Parses a comma separated list of coordinates, or null if it doesn't hold exactly `count` numbers
+function parseCoordinates(value, count) {
+  const numbers = value.split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+// Text and URLs come from Home Assistant and may contain characters that mean something in HTML
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+// Loads the first URL that succeeds
+function loadAsset(urls, createElement, target) {
+  return new Promise((resolve, reject) => {
+    const tryNext = (index) => {
+      if (index >= urls.length) {
+        reject(new Error(`Could not load any of: ${urls.join(', ')}`));
+        return;
+      }
+
+      const element = createElement(urls[index]);
+      element.onload = () => resolve(urls[index]);
+      element.onerror = () => {
+        console.warn(`Failed to load ${urls[index]}, trying fallback`);
+        element.remove();
+        tryNext(index + 1);
+      };
+      target.appendChild(element);
+    };
+
+    tryNext(0);
+  });
+}
+
+function loadStylesheet(urls, target = document.head) {
+  return loadAsset(urls, (url) => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = url;
+    return link;
+  }, target);
+}
+
+function loadScript(urls) {
+  return loadAsset(urls, (url) => {
+    const script = document.createElement('script');
+    script.src = url;
+    return script;
+  }, document.head);
+}
+
+// Scripts and font faces are global, so every view on the page shares one copy
+let leafletPromise = null;
+let iconFontPromise = null;
+
+function loadLeaflet(assetBase) {
+  if (!leafletPromise) {
+    leafletPromise = window.L
+      ? Promise.resolve()
+      : loadScript(getAssetUrls(assetBase, 'leafletJs'));
+    // Allow a later view to retry after a failure
+    leafletPromise.catch(() => { leafletPromise = null; });
+  }
+  return leafletPromise;
+}
+
+function loadIconFont(assetBase) {
+  if (!iconFontPromise) {
+    iconFontPromise = loadStylesheet(getAssetUrls(assetBase, 'mdiCss'));
+    iconFontPromise.catch(() => { iconFontPromise = null; });
+  }
+  return iconFontPromise;
+}
+
+const MAP_VIEW_STYLES = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+
+  /* Theme colors, overridden by the card with the Home Assistant theme */
+  .map-badge-view {
+    --popup-background: white;
+    --popup-text: #333;
+    --popup-secondary-text: #666;
+    --popup-divider: #e0e0e0;
+    --control-background: rgba(255,255,255,0.95);
+    --control-text: #333;
+    --control-active: #03a9f4;
+    --zone-label-text: #333;
+    --zone-label-halo: white;
+  }
+
+  .map-badge-view.dark {
+    --popup-background: #1c1c1c;
+    --popup-text: #e1e1e1;
+    --popup-secondary-text: #9b9b9b;
+    --popup-divider: #3a3a3a;
+    --control-background: rgba(28,28,28,0.95);
+    --control-text: #e1e1e1;
+    --zone-label-text: #eee;
+    --zone-label-halo: black;
+  }
+  .map-badge-view {
+    position: relative;
+    width: 100%;
+    height: 100%;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    overflow: hidden;
+  }
+
+  #map { width: 100%; height: 100%; }
+
+  .custom-marker-wrapper {
+    position: relative;
+    width: var(--marker-size, 48px);
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: flex-start;
+    overflow: visible;
+  }
+
+  .custom-marker-profile-wrapper {
+    position: relative;
+    width: var(--marker-size, 48px);
+    height: var(--marker-size, 48px);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    overflow: visible;
+    z-index: 2;
+  }
+
+  .custom-marker-image-container {
+    width: var(--marker-size, 48px);
+    height: var(--marker-size, 48px);
+    position: relative;
+    overflow: visible;
+  }
+
+  .custom-marker-image-container::after {
+    content: '';
+    position: absolute;
+    bottom: -6px;
+    left: 50%;
+    transform: translateX(-50%) rotate(45deg);
+    width: 12px;
+    height: 12px;
+    background: var(--border-color, #757575);
+    z-index: -1;
+    pointer-events: none;
+  }
+
+  .custom-marker-image {
+    width: var(--marker-size, 48px);
+    height: var(--marker-size, 48px);
+    object-fit: cover;
+    display: block;
+    border-radius: var(--marker-radius, 50%);
+  }
+
+  .custom-marker-badge {
+    position: absolute;
+    right: -4px;
+    bottom: -4px;
+    width: var(--badge-size, 20px);
+    height: var(--badge-size, 20px);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: var(--badge-radius, 50%);
+    font-size: calc(var(--badge-size, 20px) * 0.6);
+    color: white;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+    z-index: 3;
+  }
+
+  .custom-marker-position-circle {
+    position: relative;
+    margin-top: 10px;
+    width: var(--position-circle-size, 16px);
+    height: var(--position-circle-size, 16px);
+    border-radius: 50%;
+    box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+    z-index: 1;
+    align-self: center;
+  }
+
+  .custom-marker-stale .custom-marker-profile-wrapper,
+  .custom-marker-stale .custom-marker-position-circle {
+    opacity: 0.55;
+    filter: grayscale(1);
+  }
+
+  .custom-marker-stale-badge {
+    position: absolute;
+    left: -4px;
+    top: -4px;
+    width: var(--badge-size, 20px);
+    height: var(--badge-size, 20px);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 50%;
+    background: #ff9800;
+    color: white;
+    font-size: calc(var(--badge-size, 20px) * 0.6);
+    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+    z-index: 4;
+  }
+
+  .custom-marker-distance {
+    position: absolute;
+    top: 100%;
+    left: 50%;
+    transform: translateX(-50%);
+    margin-top: 2px;
+    padding: 1px 6px;
+    border-radius: 8px;
+    background: var(--control-background);
+    color: var(--control-text);
+    font-size: 11px;
+    font-weight: 600;
+    white-space: nowrap;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+  }
+
+  .custom-marker-heading {
+    position: absolute;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 11px;
+    line-height: 1;
+    color: white;
+  }
+
+  #map-controls {
+    position: absolute;
+    top: 10px;
+    right: 10px;
+    z-index: 1000;
+    display: flex;
+    gap: 8px;
+  }
+
+  .map-control-button {
+    background: var(--control-background);
+    color: var(--control-text);
+    border: none;
+    border-radius: 4px;
+    padding: 8px 12px;
+    font-size: 14px;
+    cursor: pointer;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+
+  .map-control-button:hover {
+    filter: brightness(1.05);
+  }
+
+  .map-control-button.active {
+    color: var(--control-active);
+  }
+
+  /* History playback bar */
+  #playback-bar {
+    position: absolute;
+    left: 10px;
+    right: 10px;
+    bottom: 24px;
+    z-index: 1000;
+    display: none;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    background: var(--control-background);
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+    font-size: 13px;
+    color: var(--control-text);
+  }
+
+  #playback-bar.active {
+    display: flex;
+  }
+
+  #playback-bar button {
+    background: none;
+    border: none;
+    font-size: 20px;
+    cursor: pointer;
+    color: var(--control-text);
+    display: flex;
+  }
+
+  #playback-bar button:disabled {
+    opacity: 0.4;
+    cursor: default;
+  }
+
+  #playback-slider {
+    flex: 1;
+    min-width: 60px;
+  }
+
+  #playback-time {
+    min-width: 70px;
+    text-align: center;
+    font-variant-numeric: tabular-nums;
+  }
+
+  #playback-bar input[type="date"],
+  #playback-bar select {
+    font: inherit;
+    border: 1px solid var(--popup-divider);
+    border-radius: 4px;
+    padding: 2px 4px;
+    background: var(--popup-background);
+    color: var(--popup-text);
+  }
+
+  /* Icon in place of a picture, for entities without one */
+  .marker-icon {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: var(--popup-background);
+    color: var(--popup-secondary-text);
+    font-size: calc(var(--marker-size, 48px) * 0.55);
+  }
+
+  .custom-popup-avatar.marker-icon {
+    font-size: 28px;
+  }
+
+  /* Leaflet custom marker styling */
+  .custom-leaflet-marker {
+    background: transparent !important;
+    border: none !important;
+  }
+
+  /* Modern popup styling */
+  .custom-popup {
+    background: var(--popup-background);
+    color: var(--popup-text);
+    border-radius: 12px;
+    padding: 16px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    min-width: 200px;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  }
+
+  .custom-popup-header {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    margin-bottom: 12px;
+  }
+
+  .custom-popup-avatar {
+    width: 48px;
+    height: 48px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 2px solid var(--popup-divider);
+  }
+
+  .custom-popup-info {
+    flex: 1;
+  }
+
+  .custom-popup-name {
+    font-size: 16px;
+    font-weight: 600;
+    color: var(--popup-text);
+    margin: 0 0 4px 0;
+  }
+
+  .custom-popup-state {
+    font-size: 13px;
+    color: var(--popup-secondary-text);
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+
+  .custom-popup-state-icon {
+    width: 12px;
+    height: 12px;
+    border-radius: 50%;
+    display: inline-block;
+  }
+
+  .custom-popup-stale {
+    font-size: 13px;
+    color: #ff9800;
+    display: flex;
+    align-items: center;
+    margin-top: 4px;
+  }
+
+  .custom-popup-speed {
+    font-size: 13px;
+    color: var(--popup-secondary-text);
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-top: 4px;
+  }
+
+  .custom-popup-distance {
+    font-size: 13px;
+    color: var(--popup-secondary-text);
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-top: 4px;
+  }
+
+  .custom-popup-eta {
+    margin-left: 4px;
+    font-weight: 600;
+  }
+
+  .custom-popup-activity {
+    font-size: 13px;
+    color: var(--popup-secondary-text);
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-top: 4px;
+  }
+
+  .custom-popup-details {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 6px 12px;
+    padding-top: 10px;
+    border-top: 1px solid var(--popup-divider);
+    font-size: 12px;
+    color: var(--popup-secondary-text);
+  }
+
+  .custom-popup-detail {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    min-width: 0;
+    white-space: nowrap;
+  }
+
+  .custom-popup-detail span {
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  /* Leaflet popup customization */
+  .leaflet-popup-content-wrapper,
+  .leaflet-popup-tip {
+    background: var(--popup-background);
+  }
+
+  .leaflet-popup-content-wrapper {
+    padding: 0;
+    border-radius: 12px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+  }
+
+  .leaflet-popup-content {
+    margin: 0;
+    min-width: 200px;
+  }
+
+  .leaflet-popup-tip {
+    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+  }
+
+  /* Google Maps InfoWindow styling */
+  .gm-style .gm-style-iw-c {
+    background: var(--popup-background) !important;
+    padding: 0 !important;
+    border-radius: 12px !important;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15) !important;
+  }
+
+  .gm-style .gm-style-iw-d {
+    overflow: hidden !important;
+  }
+
+  .gm-style .gm-style-iw-tc::after {
+    background: var(--popup-background);
+  }
+
+  .gm-style .gm-style-iw-chr button span {
+    background-color: var(--popup-secondary-text) !important;
+  }
+
+  /* Zone labels (Leaflet tooltip and Google overlay) */
+  .zone-label {
+    font-size: 12px;
+    font-weight: 600;
+    color: var(--zone-label-text);
+    white-space: nowrap;
+    text-shadow: 0 0 3px var(--zone-label-halo), 0 0 3px var(--zone-label-halo);
+    pointer-events: none;
+  }
+
+  .leaflet-tooltip.zone-label {
+    background: transparent;
+    border: none;
+    box-shadow: none;
+    padding: 0;
+  }
+
+  .zone-label .mdi {
+    margin-right: 2px;
+  }
+
+  /* Group marker for co-located people */
+  .group-marker {
+    position: relative;
+    display: flex;
+    height: var(--marker-size, 48px);
+  }
+
+  .group-marker-avatar {
+    width: var(--marker-size, 48px);
+    height: var(--marker-size, 48px);
+    object-fit: cover;
+    border: 3px solid #757575;
+    border-radius: var(--marker-radius, 50%);
+    background: white;
+    box-shadow: 0 1px 4px rgba(0,0,0,0.3);
+  }
+
+  .group-marker-avatar + .group-marker-avatar {
+    margin-left: calc(var(--marker-size, 48px) * -0.6);
+  }
+
+  .group-marker-count {
+    position: absolute;
+    top: -6px;
+    right: -6px;
+    min-width: 20px;
+    height: 20px;
+    padding: 0 5px;
+    border-radius: 10px;
+    background: #333;
+    color: white;
+    font-size: 12px;
+    font-weight: 600;
+    line-height: 20px;
+    text-align: center;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+  }
+`;
+
+// Controls and playback bar, labelled in the view's language
+const createMapViewTemplate = (t) => `
+  <div id="map"></div>
+  <div id="map-controls">
+    <button id="playback-button" class="map-control-button" title="${t('map.history_title')}" style="display: none;">
+      <i class="mdi mdi-history"></i> ${t('map.history')}
+    </button>
+    <button id="follow-button" class="map-control-button" title="${t('map.follow_title')}" style="display: none;">
+      <i class="mdi mdi-crosshairs-gps"></i> ${t('map.follow')}
+    </button>
+    <button id="refresh-button" class="map-control-button" title="${t('map.recenter_title')}">
+      <i class="mdi mdi-fit-to-screen"></i> ${t('map.recenter')}
+    </button>
+  </div>
+  <div id="playback-bar">
+    <button id="playback-play" title="${t('map.play')}" disabled><i class="mdi mdi-play"></i></button>
+    <input type="range" id="playback-slider" min="0" max="0" step="60000" value="0" disabled>
+    <span id="playback-time">--:--</span>
+    <select id="playback-speed" title="${t('map.playback_speed')}">
+      <option value="300">5 min/s</option>
+      <option value="1800" selected>30 min/s</option>
+      <option value="7200">2 h/s</option>
+    </select>
+    <input type="date" id="playback-date">
+    <button id="playback-close" title="${t('map.back_to_live')}"><i class="mdi mdi-close"></i></button>
+  </div>
+`;
+
+/**
+ * Creates a map view inside the given root
+ * @param {ShadowRoot|HTMLElement} root - Where to render: the card's shadow root or the iframe page body
+ * @param {URLSearchParams} urlParams - Map settings, as built by ConfigManager.buildIframeParams
+ * @param {Function} post - Sends a message object to the card
+ * @returns {Object} View with handleMessage, fitMapToMarkers, getLastUpdate and destroy
+ */
+export function createMapView(root, urlParams, post) {
+
+  // Parse URL parameters for configuration
+  const MAP_PROVIDER = urlParams.get('provider') || 'osm'; // 'osm' or 'google'
+  const GOOGLE_API_KEY = urlParams.get('apikey') || 'YOUR_API_KEY_HERE';
+  const DEFAULT_ZOOM = parseInt(urlParams.get('zoom')) || 13;
+  const MAP_TYPE = urlParams.get('maptype') || 'hybrid';
+  const TILE_URL = urlParams.get('tile_url') || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+  const TILE_SUBDOMAINS = urlParams.get('tile_subdomains') ?? 'abc';
+  const TILE_ATTRIBUTION = urlParams.get('tile_attribution') ?? '© OpenStreetMap contributors';
+  const TILE_MAX_ZOOM = parseInt(urlParams.get('tile_max_zoom')) || 19;
+  const DARK_TILE_URL = urlParams.get('dark_tile_url') || TILE_URL;
+  const DARK_TILE_SUBDOMAINS = urlParams.get('dark_tile_subdomains') ?? TILE_SUBDOMAINS;
+  const DARK_TILE_ATTRIBUTION = urlParams.get('dark_tile_attribution') ?? TILE_ATTRIBUTION;
+  const DARK_TILE_MAX_ZOOM = parseInt(urlParams.get('dark_tile_max_zoom')) || TILE_MAX_ZOOM;
+
+  const MODE = urlParams.get('mode') || 'proxy';
+  const DEBUG = urlParams.get('debug') === '1';
+  const TILT_ZOOM_THRESHOLD = parseInt(urlParams.get('tiltzoom')) || 18; // Zoom level to enable tilt
+  const MARKER_BORDER_RADIUS = decodeURIComponent(urlParams.get('marker_radius') || '50%');
+  const BADGE_BORDER_RADIUS = decodeURIComponent(urlParams.get('badge_radius') || '50%');
+  const MARKER_SIZE_PARAM = urlParams.get('marker_size') || 'medium';
+  const ASSET_BASE = urlParams.get('assets') || 'cdn'; // 'cdn', 'local' or a folder URL
+  const SHOW_ZONES = urlParams.get('show_zones') === '1';
+  const SHOW_ZONE_LABELS = urlParams.get('zone_labels') !== '0';
+  const SHOW_TRAILS = urlParams.get('show_trails') === '1';
+  const TRAIL_COLOR_MODE = urlParams.get('trail_color') || 'zone'; // 'zone' or 'activity'
+  const SHOW_PLAYBACK = urlParams.get('playback') === '1';
+  const OVERLAP_MODE = urlParams.get('overlap') || 'spiderfy'; // 'spiderfy', 'group' or 'none'
+  const SHOW_DISTANCE_LABEL = urlParams.get('distance_label') === '1';
+  const SHOW_STALE_BADGE = urlParams.get('stale_badge') === '1';
+  const SHOW_ACCURACY = urlParams.get('accuracy') !== '0';
+  const UPDATE_INTERVAL = (parseFloat(urlParams.get('interval')) || 10) * 1000; // ms between card updates
+  const POPUP_REFRESH_INTERVAL = 30000; // ms between updates of relative times in popups
+  const MAX_ANIMATION_DISTANCE = 2000; // meters; larger jumps (e.g. after a GPS gap) move instantly
+  const FOLLOW = urlParams.get('follow') || ''; // entity ID to keep centered, 'all' to keep everyone in view
+  const FIT_MODE = urlParams.get('fit_mode') || 'markers'; // 'markers', 'center' or 'zone'
+  const CENTER_PARAM = urlParams.get('center') || '';
+  const CENTER_ZONE = CENTER_PARAM.startsWith('zone.') ? CENTER_PARAM : null;
+  const CENTER = CENTER_PARAM && !CENTER_ZONE ? parseCoordinates(CENTER_PARAM, 2) : null; // [lat, lon]
+  const MIN_ZOOM = urlParams.get('min_zoom') ? parseInt(urlParams.get('min_zoom')) : null;
+  const MAX_ZOOM = urlParams.get('max_zoom') ? parseInt(urlParams.get('max_zoom')) : null;
+  const MAX_BOUNDS = urlParams.get('max_bounds') ? parseCoordinates(urlParams.get('max_bounds'), 4) : null; // [south, west, north, east]
+  // Marker interactions with a configured Home Assistant action ('tap', 'hold', 'double_tap'); the rest open the popup
+  const MARKER_ACTIONS = new Set((urlParams.get('actions') || '').split(',').filter(Boolean));
+  const HOLD_DELAY = 500; // ms
+  const DOUBLE_TAP_DELAY = 250; // ms to wait for a second tap
+  const LANGUAGE = urlParams.get('lang') || DEFAULT_LANGUAGE; // Home Assistant language of the user
+  const t = (key, params, fallback) => localize(LANGUAGE, key, params, fallback);
+
+  // Styles live next to the view, so they also apply inside a shadow root
+  const inShadowRoot = root instanceof ShadowRoot;
+  const styleTarget = inShadowRoot ? root : document.head;
+  const style = document.createElement('style');
+  style.textContent = MAP_VIEW_STYLES;
+  styleTarget.appendChild(style);
+
+  const viewElement = document.createElement('div');
+  viewElement.className = 'map-badge-view';
+  viewElement.innerHTML = createMapViewTemplate(t);
+  root.appendChild(viewElement);
+
+  const $ = (id) => root.querySelector(`#${id}`);
+
+  // Get selected marker size with fallback to medium
+  let selectedMarkerSize = { ...(MARKER_SIZES[MARKER_SIZE_PARAM] || MARKER_SIZES.medium) };
+
+  // Apply CSS custom properties for dynamic sizing
+  applyMarkerSizeVariables(selectedMarkerSize);
+
+  // Apply CSS variables for border radius
+  viewElement.style.setProperty('--marker-radius', MARKER_BORDER_RADIUS);
+  viewElement.style.setProperty('--badge-radius', BADGE_BORDER_RADIUS);
+
+  const POSITION_CIRCLE_SIZE = 16;
+  const MARKER_LAYOUT_FALLBACK_OFFSET = 24;
+  let markerDimensions = {
+    size: selectedMarkerSize.marker,
+    totalHeight: selectedMarkerSize.marker + MARKER_LAYOUT_FALLBACK_OFFSET
+  };
+
+  function applyMarkerSizeVariables(sizeConfig) {
+    viewElement.style.setProperty('--marker-size', `${sizeConfig.marker}px`);
+    viewElement.style.setProperty('--badge-size', `${sizeConfig.badge}px`);
+    viewElement.style.setProperty('--popup-offset', `${sizeConfig.popupOffset}px`);
+  }
+
+  // Parse entities configuration
+  const entitiesParam = urlParams.get('entities') || '';
+  const ENTITIES = entitiesParam.split(',').map(e => {
+    const parts = e.trim().split(':');
+    return {
+      person: parts[0],
+      activity: parts[1] || null
+    };
+  }).filter(e => e.person);
+
+  // Parse zones configuration (zones only have colors now, no icons)
+  const zonesParam = urlParams.get('zones') || '';
+  const ZONES = {};
+  if (zonesParam) {
+    zonesParam.split(',').forEach(zone => {
+      const [state, color] = zone.split(':');
+      if (state && color) {
+        ZONES[state] = { color: decodeURIComponent(color) };
+      }
+    });
+  }
+
+  // Default zones if not configured
+  if (Object.keys(ZONES).length === 0) {
+    ZONES.home = { color: '#cef595' };
+    ZONES.not_home = { color: '#757575' };
+  }
+
+  // Parse activities configuration
+  const activitiesParam = urlParams.get('activities') || '';
+  const ACTIVITIES = {};
+  if (activitiesParam) {
+    activitiesParam.split(',').forEach(activity => {
+      const [state, icon, color, name] = activity.split(':');
+      if (state && icon && color) {
+        // Convert icon from 'mdi:icon-name' to 'mdi-icon-name' format
+        const iconClass = icon.replace(':', '-');
+        // Built-in names are translated; a missing name defaults to the state (capitalized/formatted)
+        const activityName = localizeActivity(LANGUAGE, state, name ? decodeURIComponent(name) : '');
+        ACTIVITIES[state] = { icon: iconClass, color: decodeURIComponent(color), name: activityName };
+      }
+    });
+  }
+
+  // Default activities if not configured (activities always have white icons on configurable backgrounds)
+  // By default, use black background if no activities are configured
+  if (Object.keys(ACTIVITIES).length === 0) {
+    ACTIVITIES.unknown = { icon: 'mdi-human-male', color: '#000000', name: localizeActivity(LANGUAGE, 'unknown') };
+  }
+
+  let map;
+  let markers = {};
+  let entityData = {};
+  let lastUpdate = null;
+  let updateCount = 0;
+  let lastSeq = null; // seq of the last applied card message, null until an init arrives
+  let resyncRequested = false;
+  let initialViewSet = false;
+  let isOSM = MAP_PROVIDER === 'osm';
+  let currentPopup = null; // Track currently open popup
+  let tileLayer = null; // Active Leaflet tile layer
+  let darkMode = false;
+  let zoneData = {}; // Zone entities received from the card
+  let zonesReceived = false;
+  let units = 'metric'; // 'metric' or 'imperial'
+  let zoneOverlays = {}; // entityId → { circle, label }
+  let trailData = {}; // entityId → [{ latitude, longitude, timestamp }]
+  let trailLines = {}; // entityId → polyline
+  let markerOffsets = {}; // entityId → { x, y } pixel offset while fanned out
+  let groupedMarkers = new Set(); // entityIds collapsed into a group marker
+  let playbackHiddenMarkers = new Set(); // entityIds with no recorded position at the playback time
+  let groupMarkers = {}; // group key → group marker
+  let spiderLegs = []; // lines from fanned-out markers to their real position
+  let markerAnimations = {}; // entityId → { frame, to } while gliding to a new position
+  let skipMarkerAnimation = false; // set while markers should snap to their positions
+  let following = !!FOLLOW; // paused by manual panning, resumed with the follow button
+  let expandedGroup = null; // group key the user expanded in 'group' mode
+  let resizeObserver = null;
+  let popupRefreshTimer = null;
+  let destroyed = false;
+  let playback = {
+    active: false,
+    date: null,
+    frames: {}, // entityId → [{ timestamp, state, latitude, longitude, activity, speed }]
+    lastFrames: {}, // entityId → frame currently shown
+    start: 0,
+    end: 0,
+    time: 0,
+    timer: null
+  };
+
+  // OpenStreetMap initialization
+  function initOSM() {
+    try {
+      const options = { maxZoom: getMaxZoom(darkMode) };
+      if (MIN_ZOOM !== null) options.minZoom = MIN_ZOOM;
+      if (MAX_BOUNDS) {
+        options.maxBounds = [[MAX_BOUNDS[0], MAX_BOUNDS[1]], [MAX_BOUNDS[2], MAX_BOUNDS[3]]];
+        options.maxBoundsViscosity = 1.0;
+      }
+
+      map = L.map($('map'), options).setView(CENTER || [0, 0], DEFAULT_ZOOM);
+
+      tileLayer = createTileLayer(darkMode).addTo(map);
+
+      // A card can be resized or shown after the map was created
+      resizeObserver = new ResizeObserver(() => map && map.invalidateSize());
+      resizeObserver.observe($('map'));
+
+      console.log('OpenStreetMap initialized');
+
+      // Signal that map is ready
+      post({ type: 'iframe-ready' });
+    } catch (error) {
+      console.error('Error initializing OpenStreetMap:', error);
+    }
+  }
+
+  // Zoom limit: the configured max_zoom, but never beyond what the tile server provides
+  function getMaxZoom(dark) {
+    const tileMaxZoom = dark ? DARK_TILE_MAX_ZOOM : TILE_MAX_ZOOM;
+    return MAX_ZOOM !== null ? Math.min(MAX_ZOOM, tileMaxZoom) : tileMaxZoom;
+  }
+
+  function createTileLayer(dark) {
+    return L.tileLayer(dark ? DARK_TILE_URL : TILE_URL, {
+      attribution: dark ? DARK_TILE_ATTRIBUTION : TILE_ATTRIBUTION,
+      subdomains: dark ? DARK_TILE_SUBDOMAINS : TILE_SUBDOMAINS,
+      maxZoom: dark ? DARK_TILE_MAX_ZOOM : TILE_MAX_ZOOM
+    });
+  }
+
+  // Google Maps initialization
+  function initGoogleMaps() {
+    try {
+      // Determine map type ID
+      let mapTypeId;
+      switch(MAP_TYPE.toLowerCase()) {
+        case 'satellite':
+          mapTypeId = google.maps.MapTypeId.SATELLITE;
+          break;
+        case 'hybrid':
+          mapTypeId = google.maps.MapTypeId.HYBRID;
+          break;
+        case 'terrain':
+          mapTypeId = google.maps.MapTypeId.TERRAIN;
+          break;
+        case 'roadmap':
+        default:
+          mapTypeId = google.maps.MapTypeId.ROADMAP;
+          break;
+      }
+
+      map = new google.maps.Map($('map'), {
+        center: CENTER ? { lat: CENTER[0], lng: CENTER[1] } : { lat: 0, lng: 0 },
+        zoom: DEFAULT_ZOOM,
+        minZoom: MIN_ZOOM,
+        maxZoom: MAX_ZOOM,
+        restriction: MAX_BOUNDS ? {
+          latLngBounds: { south: MAX_BOUNDS[0], west: MAX_BOUNDS[1], north: MAX_BOUNDS[2], east: MAX_BOUNDS[3] },
+          strictBounds: false
+        } : null,
+        mapTypeId: mapTypeId,
+        styles: darkMode ? GOOGLE_DARK_STYLE : null,
+        mapTypeControl: false,
+        mapTypeControlOptions: {
+          style: google.maps.MapTypeControlStyle.HORIZONTAL_BAR,
+          position: google.maps.ControlPosition.TOP_RIGHT
+        },
+        zoomControl: false,
+        zoomControlOptions: {
+          position: google.maps.ControlPosition.RIGHT_CENTER
+        },
+        streetViewControl: true,
+        fullscreenControl: false,
+        // Enable rotation controls
+        rotateControl: false,
+        rotateControlOptions: {
+          position: google.maps.ControlPosition.RIGHT_CENTER
+        },
+        // Smooth animations
+        gestureHandling: 'greedy',
+        // Allow tilt
+        tilt: 0 // Start flat, will tilt when zoomed in
+      });
+
+      // Listen for zoom changes to enable/disable tilt
+      map.addListener('zoom_changed', () => {
+        const currentZoom = map.getZoom();
+        const currentTilt = map.getTilt();
+
+        // Enable 45-degree tilt when zoomed in beyond threshold
+        if (currentZoom >= TILT_ZOOM_THRESHOLD && currentTilt === 0) {
+          map.setTilt(45);
+          console.log(`Tilt enabled at zoom level ${currentZoom}`);
+        }
+        // Disable tilt when zooming out
+        else if (currentZoom < TILT_ZOOM_THRESHOLD && currentTilt === 45) {
+          map.setTilt(0);
+          console.log(`Tilt disabled at zoom level ${currentZoom}`);
+        }
+      });
+
+      console.log('Google Maps initialized with tilt support');
+
+    } catch (error) {
+      console.error('Error initializing map:', error);
+    }
+  }
+
+  // Unified init function
+  function initMap() {
+    // A view created before the card was attached could not measure its markers
+    recalculateMarkerDimensions();
+
+    if (isOSM) {
+      initOSM();
+    } else {
+      initGoogleMaps();
+    }
+
+    setupOverlapHandling();
+    setupFollowPause();
+
+    // Data, zones and trails may have arrived while the map API was still loading
+    updateAllMarkers();
+    updateZoneOverlays();
+    updateTrails();
+  }
+
+  // Entity picture, or the entity's MDI icon when it has none (cars, trackers, GPS sensors)
+  function createAvatarHTML(pictureUrl, icon, className, style = '') {
+    if (!pictureUrl && icon) {
+      return `<div class="${className} marker-icon" style="${style}"><i class="mdi ${escapeHTML(icon.replace(':', '-'))}"></i></div>`;
+    }
+
+    return `
+      <img
+        src="${escapeHTML(pictureUrl)}"
+        class="${className}"
+        style="${style}"
+        onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2248%22 height=%2248%22><circle cx=%2224%22 cy=%2224%22 r=%2220%22 fill=%22%23cccccc%22/></svg>'">
+    `;
+  }
+
+  function createMarkerHTML(personState, activityState, pictureUrl, icon, heading, distance, stale) {
+    const zoneConfig = ZONES[personState] || ZONES.not_home || { color: '#757575' };
+    const activityConfig = ACTIVITIES[activityState] || ACTIVITIES.unknown || { icon: 'mdi-human-male', color: '#000000' };
+
+    return `
+      <div class="custom-marker-wrapper${stale ? ' custom-marker-stale' : ''}">
+        <div class="custom-marker-profile-wrapper">
+          <div class="custom-marker-image-container" style="--border-color: ${zoneConfig.color};">
+            ${createAvatarHTML(pictureUrl, icon, 'custom-marker-image', `border: 3px solid ${zoneConfig.color}`)}
+          </div>
+          <div class="custom-marker-badge" style="background: ${activityConfig.color}; color: white;">
+            <i class="mdi ${activityConfig.icon}"></i>
+          </div>
+        </div>
+        ${stale && SHOW_STALE_BADGE ? '<div class="custom-marker-stale-badge"><i class="mdi mdi-alert"></i></div>' : ''}
+        <div class="custom-marker-position-circle" style="background: #76D4C3; border: 2px solid ${zoneConfig.color};">
+          ${createHeadingHTML(heading)}
+        </div>
+        ${SHOW_DISTANCE_LABEL && distance ? `<div class="custom-marker-distance">${formatDistance(distance.meters)}</div>` : ''}
+      </div>
+     `;
+   }
+
+  // Speed and distance follow the Home Assistant unit system sent with entity updates
+  function formatSpeed(speedKmh) {
+    return units === 'imperial'
+      ? `${(speedKmh * 0.621371).toFixed(1)} mph`
+      : `${speedKmh.toFixed(1)} km/h`;
+  }
+
+  function formatDistance(meters) {
+    if (units === 'imperial') {
+      const miles = meters / 1609.344;
+      return miles < 0.1 ? `${Math.round(meters * 3.28084)} ft` : `${miles.toFixed(miles < 10 ? 1 : 0)} mi`;
+    }
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(meters < 10000 ? 1 : 0)} km`;
+  }
+
+  // Altitude stays in meters or feet, however large
+  function formatHeight(meters) {
+    return units === 'imperial' ? `${Math.round(meters * 3.28084)} ft` : `${Math.round(meters)} m`;
+  }
+
+  function formatDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    return minutes < 60
+      ? t('time.minutes', { minutes })
+      : t('time.hours_minutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+  }
+
+  // Arrow inside the position circle pointing where the entity is heading
+  function createHeadingHTML(heading) {
+    if (heading === null || heading === undefined || !isFinite(heading)) {
+      return '';
+    }
+
+    return `<i class="mdi mdi-navigation custom-marker-heading" style="transform: rotate(${Math.round(heading)}deg);"></i>`;
+  }
+
+  // Measure the rendered marker stack so anchors match pointer and circle placement
+  function recalculateMarkerDimensions() {
+    markerDimensions.size = selectedMarkerSize.marker;
+    const measuredHeight = measureMarkerHeight();
+    markerDimensions.totalHeight = measuredHeight || (selectedMarkerSize.marker + MARKER_LAYOUT_FALLBACK_OFFSET);
+  }
+
+  function measureMarkerHeight() {
+    if (!viewElement.isConnected) {
+      return null;
+    }
+
+    const tempContainer = document.createElement('div');
+    tempContainer.style.position = 'absolute';
+    tempContainer.style.visibility = 'hidden';
+    tempContainer.style.pointerEvents = 'none';
+    tempContainer.innerHTML = createMarkerHTML('not_home', 'unknown', '');
+
+    viewElement.appendChild(tempContainer);
+    const markerElement = tempContainer.querySelector('.custom-marker-wrapper');
+    const measuredHeight = markerElement ? Math.ceil(markerElement.getBoundingClientRect().height) : null;
+    tempContainer.remove();
+
+    return measuredHeight;
+  }
+
+  recalculateMarkerDimensions();
+
+  // Pixel offset from the marker's top-left corner to the center of its position circle
+  function getMarkerAnchor() {
+    return {
+      x: Math.floor(markerDimensions.size / 2),
+      y: markerDimensions.totalHeight - Math.floor(POSITION_CIRCLE_SIZE / 2)
+    };
+  }
+
+
+  // Zone names as Home Assistant shows them; other states in the view's language
+  function getStateLabel(personState, data) {
+    return data.attributes.state_name || t(`state.${personState}`, {}, personState);
+  }
+
+  // Popup for an entity's data, as shown on its marker
+  function createEntityPopupHTML(entityId, data) {
+    const zoneConfig = ZONES[data.state] || ZONES.not_home || { color: '#757575' };
+    return createPopupHTML(
+      data.attributes.friendly_name || entityId,
+      getStateLabel(data.state, data),
+      data.attributes.entity_picture || '',
+      zoneConfig.color,
+      data.speed || null,
+      data.activity || 'unknown',
+      data.attributes.icon,
+      data.details,
+      data.distance,
+      data.stale
+    );
+  }
+
+  // Relative times ("5 min ago") age without new data, so open and closed popups are rebuilt now and then
+  function refreshPopups() {
+    if (!map || playback.active) return;
+
+    Object.entries(markers).forEach(([entityId, marker]) => {
+      const data = entityData[entityId];
+      if (!data) return;
+
+      const popupContent = createEntityPopupHTML(entityId, data);
+      if (isOSM) {
+        if (popupContent !== marker.popupContent) {
+          marker.setPopupContent(popupContent);
+          marker.popupContent = popupContent;
+        }
+      } else if (marker.infoWindow && popupContent !== marker.infoWindow.getContent()) {
+        marker.infoWindow.setContent(popupContent);
+      }
+    });
+  }
+
+   function createPopupHTML(friendlyName, stateLabel, pictureUrl, zoneColor, speedData, activityState, icon, details, distance, stale) {
+
+    // Get activity display info from ACTIVITIES config
+    const activityConfig = ACTIVITIES[activityState] || ACTIVITIES.unknown || { icon: 'mdi-human-male', color: '#000000', name: localizeActivity(LANGUAGE, 'unknown') };
+
+    // Create speed display HTML if speed data is available
+    const speedHtml = speedData && speedData.speed_kmh !== null ? `
+      <div class="custom-popup-speed">
+        <i class="mdi mdi-speedometer" style="margin-right: 4px;"></i>
+        ${formatSpeed(speedData.speed_kmh)}
+      </div>
+    ` : '';
+
+    // Distance to the reference zone, with the ETA while getting closer
+    const trendIcons = { closer: 'mdi-arrow-down', farther: 'mdi-arrow-up', steady: 'mdi-minus' };
+    const distanceHtml = distance ? `
+      <div class="custom-popup-distance">
+        <i class="mdi mdi-map-marker-distance" style="margin-right: 4px;"></i>
+        ${t('popup.distance_from', { distance: formatDistance(distance.meters), zone: escapeHTML(distance.zone_name) })}
+        ${trendIcons[distance.trend] ? `<i class="mdi ${trendIcons[distance.trend]}" title="${t(`popup.trend.${distance.trend}`)}"></i>` : ''}
+        ${distance.eta_seconds !== null ? `<span class="custom-popup-eta">${t('popup.eta', { duration: formatDuration(distance.eta_seconds) })}</span>` : ''}
+      </div>
+    ` : '';
+
+    // Markers that stopped reporting say when their position was last updated
+    const staleHtml = stale && details && details.last_seen ? `
+      <div class="custom-popup-stale">
+        <i class="mdi mdi-clock-alert-outline" style="margin-right: 4px;"></i>
+        ${t('popup.last_seen', { time: formatRelativeTime(details.last_seen) })}
+      </div>
+    ` : '';
+
+    // Create activity display HTML
+    const activityHtml = `
+      <div class="custom-popup-activity">
+        <i class="mdi ${activityConfig.icon}" style="color: ${activityConfig.color}; margin-right: 4px;"></i>
+        ${activityConfig.name}
+      </div>
+    `;
+
+    return `
+      <div class="custom-popup">
+        <div class="custom-popup-header">
+          ${createAvatarHTML(pictureUrl, icon, 'custom-popup-avatar')}
+          <div class="custom-popup-info">
+            <h3 class="custom-popup-name">${escapeHTML(friendlyName)}</h3>
+            <div class="custom-popup-state">
+              <span class="custom-popup-state-icon" style="background: ${zoneColor}"></span>
+              ${escapeHTML(stateLabel)}
+            </div>
+            ${staleHtml}
+            ${speedHtml}
+            ${distanceHtml}
+            ${activityHtml}
+          </div>
+        </div>
+        ${createPopupDetailsHTML(details)}
+      </div>
+    `;
+  }
+
+  // "5 min ago" style time for popup timestamps
+  function formatRelativeTime(timestamp) {
+    const seconds = Math.round((Date.now() - new Date(timestamp).getTime()) / 1000);
+    if (isNaN(seconds)) return '';
+    if (seconds < 60) return t('time.just_now');
+    if (seconds < 3600) return t('time.minutes_ago', { count: Math.floor(seconds / 60) });
+    if (seconds < 86400) return t('time.hours_ago', { count: Math.floor(seconds / 3600) });
+    return t('time.days_ago', { count: Math.floor(seconds / 86400) });
+  }
+
+  // Timestamps, GPS attributes and extra entities below the popup header
+  function createPopupDetailsHTML(details) {
+    if (!details) return '';
+
+    const rows = [];
+    const addRow = (icon, text, title = '') => {
+      rows.push(`
+        <div class="custom-popup-detail" title="${title}">
+          <i class="mdi ${escapeHTML(icon.replace(':', '-'))}"></i>
+          <span>${text}</span>
+        </div>
+      `);
+    };
+
+    if (details.last_updated) {
+      addRow('mdi-update', t('popup.updated', { time: formatRelativeTime(details.last_updated) }), new Date(details.last_updated).toLocaleString());
+    }
+    if (details.last_changed) {
+      addRow('mdi-clock-outline', t('popup.changed', { time: formatRelativeTime(details.last_changed) }), new Date(details.last_changed).toLocaleString());
+    }
+    if (details.gps_accuracy !== null && details.gps_accuracy !== undefined) {
+      addRow('mdi-crosshairs-gps', `±${formatDistance(details.gps_accuracy)}`, t('popup.gps_accuracy'));
+    }
+    if (details.altitude !== null && details.altitude !== undefined) {
+      addRow('mdi-image-filter-hdr', formatHeight(details.altitude), t('popup.altitude'));
+    }
+    if (details.source) {
+      addRow('mdi-cellphone-marker', escapeHTML(details.source), t('popup.location_source'));
+    }
+    (details.extras || []).forEach(extra => {
+      addRow(extra.icon, escapeHTML(`${extra.state}${extra.unit ? ` ${extra.unit}` : ''}`), escapeHTML(extra.name));
+    });
+
+    return rows.length ? `<div class="custom-popup-details">${rows.join('')}</div>` : '';
+  }
+
+  function updateMarker(entityId, data) {
+    const lat = data.attributes.latitude;
+    const lon = data.attributes.longitude;
+    const personState = data.state;
+    const activityState = data.activity || 'unknown';
+    const pictureUrl = data.attributes.entity_picture || '';
+
+    if (!lat || !lon || isNaN(lat) || isNaN(lon)) {
+      console.warn(`Invalid GPS coordinates for ${entityId}:`, lat, lon);
+      return false;
+    }
+
+    try {
+      const updated = isOSM
+        ? updateMarkerOSM(entityId, data, lat, lon, personState, activityState, pictureUrl)
+        : updateMarkerGoogle(entityId, data, lat, lon, personState, activityState, pictureUrl);
+
+      const zoneConfig = ZONES[personState] || ZONES.not_home || { color: '#757575' };
+      updateAccuracyCircle(markers[entityId], data.details ? data.details.gps_accuracy : null, zoneConfig.color);
+      return updated;
+    } catch (error) {
+      console.error(`Error updating marker for ${entityId}:`, error);
+      return false;
+    }
+  }
+
+  // Takes a marker off the map together with its accuracy circle and layout state
+  function removeMarker(entityId) {
+    const marker = markers[entityId];
+    delete entityData[entityId];
+    if (!marker) return;
+
+    cancelMarkerAnimation(entityId);
+    updateAccuracyCircle(marker, null);
+
+    if (isOSM) {
+      if (currentPopup === marker) currentPopup = null;
+      marker.remove();
+    } else {
+      if (marker.infoWindow) {
+        if (currentPopup === marker.infoWindow) currentPopup = null;
+        marker.infoWindow.close();
+      }
+      marker.setMap(null);
+    }
+
+    delete markers[entityId];
+    delete markerOffsets[entityId];
+    groupedMarkers.delete(entityId);
+    playbackHiddenMarkers.delete(entityId);
+  }
+
+  // Translucent circle around a marker showing how far off the reported position may be.
+  // It hangs off the marker so it moves along with marker animations.
+  function updateAccuracyCircle(marker, accuracy, color) {
+    if (!marker) return;
+
+    if (!SHOW_ACCURACY || !(accuracy > 0)) {
+      if (marker.accuracyCircle) {
+        if (isOSM) {
+          marker.accuracyCircle.remove();
+        } else {
+          marker.accuracyCircle.setMap(null);
+        }
+        marker.accuracyCircle = null;
+      }
+      return;
+    }
+
+    if (marker.accuracyCircle) {
+      if (isOSM) {
+        marker.accuracyCircle.setRadius(accuracy);
+        marker.accuracyCircle.setStyle({ color: color, fillColor: color });
+      } else {
+        marker.accuracyCircle.setOptions({ radius: accuracy, strokeColor: color, fillColor: color });
+      }
+      return;
+    }
+
+    const position = getMarkerPosition(marker);
+    if (isOSM) {
+      marker.accuracyCircle = L.circle([position.lat, position.lng], {
+        radius: accuracy,
+        color: color,
+        weight: 1,
+        opacity: 0.5,
+        fillColor: color,
+        fillOpacity: 0.12,
+        interactive: false
+      }).addTo(map);
+    } else {
+      marker.accuracyCircle = new google.maps.Circle({
+        map: map,
+        center: position,
+        radius: accuracy,
+        strokeColor: color,
+        strokeOpacity: 0.5,
+        strokeWeight: 1,
+        fillColor: color,
+        fillOpacity: 0.12,
+        clickable: false
+      });
+    }
+  }
+
+  // OpenStreetMap marker update
+  function updateMarkerOSM(entityId, data, lat, lon, personState, activityState, pictureUrl) {
+    // Get dynamic marker dimensions
+    const markerSize = markerDimensions.size;
+    const markerTotalHeight = markerDimensions.totalHeight;
+    const popupOffset = selectedMarkerSize.popupOffset;
+    const anchor = getMarkerAnchor();
+
+    let marker = markers[entityId];
+
+    if (marker) {
+      // Update existing marker
+      moveMarker(entityId, marker, lat, lon);
+
+      // Update popup content
+      const popupContent = createEntityPopupHTML(entityId, data);
+      if (popupContent !== marker.popupContent) {
+        marker.setPopupContent(popupContent);
+        marker.popupContent = popupContent;
+      }
+
+      // Update icon HTML only when it changed, so the picture is not reloaded and does not flicker
+      const iconHtml = createMarkerHTML(personState, activityState, pictureUrl, data.attributes.icon, data.heading, data.distance, data.stale);
+      const iconKey = `${iconHtml}|${markerSize}|${markerTotalHeight}|${popupOffset}`;
+      if (iconKey !== marker.iconKey) {
+        marker.setIcon(L.divIcon({
+          className: 'custom-leaflet-marker',
+          html: iconHtml,
+          iconSize: [markerSize, markerTotalHeight],
+          iconAnchor: [anchor.x, anchor.y],
+          popupAnchor: [0, popupOffset]
+        }));
+        marker.iconKey = iconKey;
+      }
+
+      // If popup was open, keep it open (setLatLng automatically updates popup position while animating)
+    } else {
+      // Create new marker
+      const iconHtml = createMarkerHTML(personState, activityState, pictureUrl, data.attributes.icon, data.heading, data.distance, data.stale);
+      const icon = L.divIcon({
+        className: 'custom-leaflet-marker',
+        html: iconHtml,
+        iconSize: [markerSize, markerTotalHeight],
+        iconAnchor: [anchor.x, anchor.y],
+        popupAnchor: [0, popupOffset]
+      });
+
+      marker = L.marker([lat, lon], { icon: icon }).addTo(map);
+      marker.iconKey = `${iconHtml}|${markerSize}|${markerTotalHeight}|${popupOffset}`;
+
+      const popupContent = createEntityPopupHTML(entityId, data);
+      marker.bindPopup(popupContent);
+      marker.popupContent = popupContent;
+
+      // Taps are handled on the icon element (kept by setIcon), before Leaflet's own popup handling
+      attachMarkerGestures(marker.getElement(), entityId, () => marker.openPopup());
+
+      // Close other popups when this one opens
+      marker.on('popupopen', function() {
+        if (currentPopup && currentPopup !== marker) {
+          currentPopup.closePopup();
+        }
+        currentPopup = marker;
+        map.setView(marker.getLatLng(), Math.max(map.getZoom(), 17), { animate: true });
+      });
+
+      markers[entityId] = marker;
+    }
+
+    return true;
+  }
+
+  // Google Maps marker update
+  function updateMarkerGoogle(entityId, data, lat, lon, personState, activityState, pictureUrl) {
+    if (markers[entityId]) {
+      // Update existing marker
+      const marker = markers[entityId];
+
+      moveMarker(entityId, marker, lat, lon);
+
+      // Update the custom overlay content only when it changed, so the picture does not flicker
+      const markerHtml = createMarkerHTML(personState, activityState, pictureUrl, data.attributes.icon, data.heading, data.distance, data.stale);
+      if (markerHtml !== marker.html) {
+        marker.updateContent(markerHtml);
+      }
+
+      // Update info window content (its position follows the marker animation)
+      const popupContent = createEntityPopupHTML(entityId, data);
+      if (marker.infoWindow) {
+        if (popupContent !== marker.infoWindow.getContent()) {
+          marker.infoWindow.setContent(popupContent);
+        }
+        marker.infoWindow.setOptions({
+          pixelOffset: new google.maps.Size(0, selectedMarkerSize.popupOffset)
+        });
+      }
+    } else {
+      // Create custom HTML overlay
+      class CustomMarker extends google.maps.OverlayView {
+        constructor(position, html, title, entityId) {
+          super();
+          this.position = position;
+          this.html = html;
+          this.title = title;
+          this.entityId = entityId;
+          this.div = null;
+        }
+
+        onAdd() {
+          const div = document.createElement('div');
+          div.style.position = 'absolute';
+          div.style.cursor = 'pointer';
+          div.innerHTML = this.html;
+          div.title = this.title;
+
+          // Taps open the info window unless a Home Assistant action is configured
+          attachMarkerGestures(div, this.entityId, () => {
+            // Close currently open popup
+            if (currentPopup && currentPopup !== this.infoWindow) {
+              currentPopup.close();
+            }
+
+            if (this.infoWindow) {
+              map.setCenter(this.position);
+              map.setZoom(Math.max(map.getZoom(), 17));
+              this.infoWindow.open(this.getMap());
+              currentPopup = this.infoWindow;
+            }
+          });
+
+          this.div = div;
+          const panes = this.getPanes();
+          panes.overlayMouseTarget.appendChild(div);
+        }
+
+        draw() {
+          const overlayProjection = this.getProjection();
+          const pos = overlayProjection.fromLatLngToDivPixel(
+            new google.maps.LatLng(this.position.lat, this.position.lng)
+          );
+
+          const div = this.div;
+          const anchor = getMarkerAnchor();
+          const offset = this.offset || { x: 0, y: 0 };
+
+          div.style.left = (pos.x - anchor.x + offset.x) + 'px'; // Center horizontally
+          div.style.top = (pos.y - anchor.y + offset.y) + 'px'; // Position above point
+        }
+
+        onRemove() {
+          if (this.div) {
+            this.div.parentNode.removeChild(this.div);
+            this.div = null;
+          }
+        }
+
+        setPosition(newPosition) {
+          this.position = newPosition;
+          this.draw();
+        }
+
+        updateContent(html) {
+          this.html = html;
+          if (this.div) {
+            this.div.innerHTML = html;
+          }
+        }
+      }
+
+      const position = { lat: lat, lng: lon };
+      const marker = new CustomMarker(
+        position,
+        createMarkerHTML(personState, activityState, pictureUrl, data.attributes.icon, data.heading, data.distance, data.stale),
+        data.attributes.friendly_name || entityId,
+        entityId
+      );
+
+      marker.setMap(map);
+
+      // Create info window with modern popup
+      const infoWindow = new google.maps.InfoWindow({
+        content: createEntityPopupHTML(entityId, data),
+        position: position,
+        pixelOffset: new google.maps.Size(0, selectedMarkerSize.popupOffset)
+      });
+
+      marker.infoWindow = infoWindow;
+      markers[entityId] = marker;
+    }
+
+    return true;
+  }
+
+  // Marker interactions: tap, hold and double tap either run the Home Assistant action
+  // configured for them (reported to the card) or, for a tap without one, open the popup
+  function attachMarkerGestures(element, entityId, openPopup) {
+    let holdTimer = null;
+    let held = false;
+    let tapTimer = null;
+    let downAt = null;
+
+    const reportAction = (action) => post({ type: 'marker-action', entity_id: entityId, action: action });
+    const tap = () => MARKER_ACTIONS.has('tap') ? reportAction('tap') : openPopup();
+
+    element.addEventListener('pointerdown', (e) => {
+      held = false;
+      downAt = { x: e.clientX, y: e.clientY };
+      if (!MARKER_ACTIONS.has('hold')) return;
+
+      holdTimer = setTimeout(() => {
+        held = true;
+        reportAction('hold');
+      }, HOLD_DELAY);
+    });
+
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+      element.addEventListener(type, () => clearTimeout(holdTimer));
+    });
+
+    // Dragging the map is no hold either
+    element.addEventListener('pointermove', (e) => {
+      if (downAt && Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 10) {
+        clearTimeout(holdTimer);
+      }
+    });
+
+    element.addEventListener('click', (e) => {
+      // Keep the click from the map, which would open its own popup or zoom
+      e.stopPropagation();
+
+      // A hold already ran its action, and a drag that started on the marker is no tap
+      const dragged = downAt && Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 10;
+      if (held || dragged) {
+        held = false;
+        return;
+      }
+
+      if (!MARKER_ACTIONS.has('double_tap')) {
+        tap();
+      } else if (tapTimer) {
+        clearTimeout(tapTimer);
+        tapTimer = null;
+        reportAction('double_tap');
+      } else {
+        tapTimer = setTimeout(() => {
+          tapTimer = null;
+          tap();
+        }, DOUBLE_TAP_DELAY);
+      }
+    });
+
+    element.addEventListener('dblclick', (e) => e.stopPropagation());
+
+    // A long press would otherwise open the browser's context menu
+    element.addEventListener('contextmenu', (e) => {
+      if (MARKER_ACTIONS.has('hold')) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  // Marker animation: glide from the current to the new position over one update interval,
+  // so a marker keeps moving steadily while the next update is on its way
+  function getMarkerPosition(marker) {
+    if (isOSM) {
+      const latLng = marker.getLatLng();
+      return { lat: latLng.lat, lng: latLng.lng };
+    }
+    return { lat: marker.position.lat, lng: marker.position.lng };
+  }
+
+  function setMarkerPosition(marker, position) {
+    if (isOSM) {
+      marker.setLatLng([position.lat, position.lng]);
+      if (marker.accuracyCircle) {
+        marker.accuracyCircle.setLatLng([position.lat, position.lng]);
+      }
+    } else {
+      marker.setPosition(position);
+      if (marker.infoWindow) {
+        marker.infoWindow.setPosition(position);
+      }
+      if (marker.accuracyCircle) {
+        marker.accuracyCircle.setCenter(position);
+      }
+    }
+  }
+
+  function getDistanceMeters(from, to) {
+    const R = 6371000;
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  function cancelMarkerAnimation(entityId) {
+    if (markerAnimations[entityId]) {
+      cancelAnimationFrame(markerAnimations[entityId].frame);
+      delete markerAnimations[entityId];
+    }
+  }
+
+  // Where a marker ends up once its animation finishes
+  function getMarkerTarget(entityId) {
+    return markerAnimations[entityId] ? markerAnimations[entityId].to : getMarkerPosition(markers[entityId]);
+  }
+
+  function moveMarker(entityId, marker, lat, lon) {
+    // A new update starts from wherever the previous animation got to
+    cancelMarkerAnimation(entityId);
+
+    const from = getMarkerPosition(marker);
+    const to = { lat: lat, lng: lon };
+
+    if (from.lat === to.lat && from.lng === to.lng) {
+      return;
+    }
+
+    // Hidden tabs don't run animation frames, and long jumps read better as a jump
+    if (document.hidden || playback.active || skipMarkerAnimation || getDistanceMeters(from, to) > MAX_ANIMATION_DISTANCE) {
+      setMarkerPosition(marker, to);
+      return;
+    }
+
+    const start = performance.now();
+
+    const step = (now) => {
+      if (destroyed || markers[entityId] !== marker) {
+        delete markerAnimations[entityId];
+        return;
+      }
+
+      const progress = Math.min((now - start) / UPDATE_INTERVAL, 1);
+      const position = {
+        lat: from.lat + (to.lat - from.lat) * progress,
+        lng: from.lng + (to.lng - from.lng) * progress
+      };
+      setMarkerPosition(marker, position);
+
+      // Keep the followed person centered while they move
+      if (following && FOLLOW === entityId) {
+        centerMap(position, false);
+      }
+
+      if (progress < 1) {
+        markerAnimations[entityId].frame = requestAnimationFrame(step);
+      } else {
+        delete markerAnimations[entityId];
+        // Overlap was laid out for the old positions
+        applyOverlapLayout();
+      }
+    };
+
+    markerAnimations[entityId] = { frame: requestAnimationFrame(step), to: to };
+  }
+
+  // Resolve the configured color for a zone, matching the person state it produces
+  function getZoneColor(entityId, zone) {
+    const objectId = entityId.replace('zone.', '');
+    const zoneConfig = ZONES[zone.state] || ZONES[objectId] || ZONES[zone.state.toLowerCase()] ||
+      ZONES.not_home || { color: '#757575' };
+    return zoneConfig.color;
+  }
+
+  function createZoneLabelHTML(zone) {
+    const iconHtml = zone.icon ? `<i class="mdi ${escapeHTML(zone.icon.replace(':', '-'))}"></i>` : '';
+    return `${iconHtml}${escapeHTML(zone.friendly_name)}`;
+  }
+
+  function updateZoneOverlays() {
+    if (!SHOW_ZONES || !map) {
+      return;
+    }
+
+    // Remove zones that no longer exist
+    Object.keys(zoneOverlays).forEach(entityId => {
+      if (!zoneData[entityId]) {
+        removeZoneOverlay(entityId);
+      }
+    });
+
+    for (const [entityId, zone] of Object.entries(zoneData)) {
+      try {
+        if (isOSM) {
+          updateZoneOverlayOSM(entityId, zone);
+        } else {
+          updateZoneOverlayGoogle(entityId, zone);
+        }
+      } catch (error) {
+        console.error(`Error drawing zone ${entityId}:`, error);
+      }
+    }
+  }
+
+  function removeZoneOverlay(entityId) {
+    const overlay = zoneOverlays[entityId];
+    if (!overlay) return;
+
+    if (isOSM) {
+      overlay.circle.remove();
+    } else {
+      overlay.circle.setMap(null);
+      if (overlay.label) overlay.label.setMap(null);
+    }
+    delete zoneOverlays[entityId];
+  }
+
+  // OpenStreetMap zone circle
+  function updateZoneOverlayOSM(entityId, zone) {
+    const color = getZoneColor(entityId, zone);
+    const center = [zone.latitude, zone.longitude];
+    let overlay = zoneOverlays[entityId];
+
+    if (!overlay) {
+      const circle = L.circle(center, {
+        radius: zone.radius,
+        color: color,
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 0.15,
+        interactive: false
+      }).addTo(map);
+
+      overlay = { circle: circle, label: null };
+      zoneOverlays[entityId] = overlay;
+    } else {
+      overlay.circle.setLatLng(center);
+      overlay.circle.setRadius(zone.radius);
+      overlay.circle.setStyle({ color: color, fillColor: color });
+    }
+
+    if (SHOW_ZONE_LABELS) {
+      const labelHtml = createZoneLabelHTML(zone);
+      if (overlay.circle.getTooltip()) {
+        overlay.circle.setTooltipContent(labelHtml);
+      } else {
+        overlay.circle.bindTooltip(labelHtml, {
+          permanent: true,
+          direction: 'center',
+          className: 'zone-label'
+        });
+      }
+    }
+  }
+
+  // Google Maps zone circle
+  function updateZoneOverlayGoogle(entityId, zone) {
+    const color = getZoneColor(entityId, zone);
+    const center = { lat: zone.latitude, lng: zone.longitude };
+    let overlay = zoneOverlays[entityId];
+
+    if (!overlay) {
+      const circle = new google.maps.Circle({
+        map: map,
+        center: center,
+        radius: zone.radius,
+        strokeColor: color,
+        strokeWeight: 2,
+        fillColor: color,
+        fillOpacity: 0.15,
+        clickable: false
+      });
+
+      overlay = { circle: circle, label: null };
+      zoneOverlays[entityId] = overlay;
+    } else {
+      overlay.circle.setOptions({
+        center: center,
+        radius: zone.radius,
+        strokeColor: color,
+        fillColor: color
+      });
+    }
+
+    if (SHOW_ZONE_LABELS) {
+      const labelHtml = createZoneLabelHTML(zone);
+      if (overlay.label) {
+        overlay.label.update(center, labelHtml);
+      } else {
+        const HtmlOverlay = getHtmlOverlayClass();
+        overlay.label = new HtmlOverlay(center, labelHtml, { className: 'zone-label' });
+        overlay.label.setMap(map);
+      }
+    }
+  }
+
+  // Google HTML overlay centered on a position (zone labels, group markers),
+  // defined lazily because the Maps API loads asynchronously
+  let HtmlOverlayClass = null;
+  function getHtmlOverlayClass() {
+    if (HtmlOverlayClass) return HtmlOverlayClass;
+
+    HtmlOverlayClass = class extends google.maps.OverlayView {
+      constructor(position, html, options = {}) {
+        super();
+        this.position = position;
+        this.html = html;
+        this.className = options.className || '';
+        this.onClick = options.onClick || null;
+        this.div = null;
+      }
+
+      onAdd() {
+        const div = document.createElement('div');
+        div.className = this.className;
+        div.style.position = 'absolute';
+        div.style.transform = 'translate(-50%, -50%)';
+        div.innerHTML = this.html;
+
+        if (this.onClick) {
+          div.style.cursor = 'pointer';
+          div.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.onClick();
+          });
+        }
+
+        this.div = div;
+        const panes = this.getPanes();
+        (this.onClick ? panes.overlayMouseTarget : panes.overlayLayer).appendChild(div);
+      }
+
+      draw() {
+        const pos = this.getProjection().fromLatLngToDivPixel(
+          new google.maps.LatLng(this.position.lat, this.position.lng)
+        );
+        this.div.style.left = pos.x + 'px';
+        this.div.style.top = pos.y + 'px';
+      }
+
+      onRemove() {
+        if (this.div) {
+          this.div.parentNode.removeChild(this.div);
+          this.div = null;
+        }
+      }
+
+      update(position, html) {
+        this.position = position;
+        if (this.div) {
+          // Unchanged content keeps its DOM nodes, so images don't reload
+          if (html !== this.html) {
+            this.div.innerHTML = html;
+          }
+          this.draw();
+        }
+        this.html = html;
+      }
+    };
+
+    return HtmlOverlayClass;
+  }
+
+  // Trail color follows the person's current zone or activity
+  function getTrailColor(entityId) {
+    const data = entityData[entityId];
+    if (TRAIL_COLOR_MODE === 'activity') {
+      const activityConfig = (data && ACTIVITIES[data.activity]) || ACTIVITIES.unknown || { color: '#000000' };
+      return activityConfig.color;
+    }
+
+    const zoneConfig = (data && ZONES[data.state]) || ZONES.not_home || { color: '#757575' };
+    return zoneConfig.color;
+  }
+
+  function updateTrails() {
+    if (!SHOW_TRAILS || !map) {
+      return;
+    }
+
+    Object.keys(trailLines).forEach(entityId => {
+      if (!trailData[entityId]) {
+        if (isOSM) {
+          trailLines[entityId].remove();
+        } else {
+          trailLines[entityId].setMap(null);
+        }
+        delete trailLines[entityId];
+      }
+    });
+
+    for (const [entityId, points] of Object.entries(trailData)) {
+      try {
+        const color = getTrailColor(entityId);
+
+        if (isOSM) {
+          const latLngs = points.map(p => [p.latitude, p.longitude]);
+          if (trailLines[entityId]) {
+            trailLines[entityId].setLatLngs(latLngs);
+            trailLines[entityId].setStyle({ color: color });
+          } else {
+            trailLines[entityId] = L.polyline(latLngs, {
+              color: color,
+              weight: 3,
+              opacity: 0.7,
+              interactive: false
+            }).addTo(map);
+          }
+        } else {
+          const path = points.map(p => ({ lat: p.latitude, lng: p.longitude }));
+          if (trailLines[entityId]) {
+            trailLines[entityId].setOptions({ path: path, strokeColor: color });
+          } else {
+            trailLines[entityId] = new google.maps.Polyline({
+              map: map,
+              path: path,
+              strokeColor: color,
+              strokeOpacity: 0.7,
+              strokeWeight: 3,
+              clickable: false
+            });
+          }
+        }
+      } catch (error) {
+        console.error(`Error drawing trail for ${entityId}:`, error);
+      }
+    }
+  }
+
+  // Configured view target: the center coordinates, or a zone once its position has arrived
+  function getViewTarget(mode) {
+    const zoneId = mode === 'zone' ? (CENTER_ZONE || 'zone.home') : CENTER_ZONE;
+    if (!zoneId) {
+      return CENTER ? { lat: CENTER[0], lng: CENTER[1], radius: null } : null;
+    }
+
+    const zone = zoneData[zoneId];
+    return zone ? { lat: zone.latitude, lng: zone.longitude, radius: mode === 'zone' ? zone.radius : null } : null;
+  }
+
+  function showViewTarget(target) {
+    if (target.radius) {
+      // Fit the whole zone circle
+      if (isOSM) {
+        map.fitBounds(L.latLng(target.lat, target.lng).toBounds(target.radius * 2), { padding: [50, 50] });
+      } else {
+        const circle = new google.maps.Circle({ center: { lat: target.lat, lng: target.lng }, radius: target.radius });
+        map.fitBounds(circle.getBounds(), { padding: 50 });
+      }
+    } else if (isOSM) {
+      map.setView([target.lat, target.lng], DEFAULT_ZOOM);
+    } else {
+      map.setCenter({ lat: target.lat, lng: target.lng });
+      map.setZoom(DEFAULT_ZOOM);
+    }
+  }
+
+  // Resets the view according to fit_mode; returns true if the view could be set
+  function fitMapToMarkers(mode = FIT_MODE) {
+    if (!map) {
+      return false;
+    }
+
+    if (mode !== 'markers') {
+      const target = getViewTarget(mode);
+      if (target) {
+        showViewTarget(target);
+        return true;
+      }
+    }
+
+    if (Object.keys(markers).length === 0) {
+      return false;
+    }
+
+    try {
+      // Fit to where markers are heading, not where their animation currently is
+      const positions = Object.keys(markers).map(getMarkerTarget);
+
+      if (isOSM) {
+        // OpenStreetMap (Leaflet)
+        if (positions.length === 1) {
+          map.setView([positions[0].lat, positions[0].lng], DEFAULT_ZOOM);
+        } else {
+          const bounds = L.latLngBounds(positions.map(position => [position.lat, position.lng]));
+          map.fitBounds(bounds, { padding: [50, 50] });
+        }
+      } else {
+        // Google Maps
+        if (positions.length === 1) {
+          map.setCenter(positions[0]);
+          map.setZoom(DEFAULT_ZOOM);
+        } else {
+          const bounds = new google.maps.LatLngBounds();
+          positions.forEach(position => {
+            bounds.extend(position);
+          });
+          map.fitBounds(bounds, { padding: 50 });
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Error fitting map to markers:', error);
+      return false;
+    }
+  }
+
+  // Sets the first view once there is something to show. A view on a zone waits for the
+  // zone positions, falling back to the markers if the zone doesn't exist.
+  function applyInitialView() {
+    if (initialViewSet || !map) return;
+
+    if (following && FOLLOW !== 'all' && markers[FOLLOW]) {
+      centerMap(getMarkerPosition(markers[FOLLOW]), false);
+      initialViewSet = true;
+      return;
+    }
+
+    if (FIT_MODE !== 'markers' && !getViewTarget(FIT_MODE)) {
+      if (!zonesReceived) return;
+      initialViewSet = fitMapToMarkers('markers');
+      return;
+    }
+
+    initialViewSet = fitMapToMarkers();
+  }
+
+  function updateAllMarkers() {
+    updateMarkers(Object.keys(entityData));
+  }
+
+  // Redraws the given markers; the others keep their DOM nodes
+  function updateMarkers(entityIds) {
+    // Data can arrive before the map libraries have loaded; initMap renders it later
+    if (!map) {
+      return;
+    }
+
+    // Recorded positions take over the markers while replaying history
+    if (playback.active) {
+      if (playback.end > 0) {
+        renderPlaybackFrame(playback.time, true);
+      }
+      return;
+    }
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    for (const entityId of entityIds) {
+      if (updateMarker(entityId, entityData[entityId])) {
+        successCount++;
+      } else {
+        errorCount++;
+      }
+    }
+
+    if (!initialViewSet) {
+      applyInitialView();
+    } else {
+      followMarkers();
+    }
+
+    applyOverlapLayout();
+
+    // Trail colors depend on the latest zone and activity
+    updateTrails();
+  }
+
+  // Follow mode: keep one person centered, or everyone in view with 'all'
+  function centerMap(position, animate) {
+    if (isOSM) {
+      map.panTo([position.lat, position.lng], { animate: animate });
+    } else if (animate) {
+      map.panTo(position);
+    } else {
+      map.setCenter(position);
+    }
+  }
+
+  function followMarkers() {
+    if (!following || !map) return;
+
+    if (FOLLOW === 'all') {
+      fitMapToMarkers('markers');
+    } else if (markers[FOLLOW]) {
+      // An animating marker is kept centered frame by frame
+      centerMap(getMarkerPosition(markers[FOLLOW]), true);
+    }
+  }
+
+  function setFollowing(enabled) {
+    following = enabled;
+    $('follow-button').classList.toggle('active', enabled);
+    $('follow-button').title = t(enabled ? 'map.following_title' : 'map.follow_title');
+
+    if (enabled) {
+      followMarkers();
+    }
+  }
+
+  function setupFollowControls() {
+    if (!FOLLOW) return;
+
+    $('follow-button').style.display = '';
+    $('follow-button').addEventListener('click', () => setFollowing(!following));
+    setFollowing(following);
+  }
+
+  function setupFollowPause() {
+    if (!FOLLOW || !map) return;
+
+    // Only the user drags the map; programmatic pans don't fire dragstart
+    if (isOSM) {
+      map.on('dragstart', () => setFollowing(false));
+    } else {
+      map.addListener('dragstart', () => setFollowing(false));
+    }
+  }
+
+  // Overlap handling: markers that share a location fan out around it ('spiderfy')
+  // or collapse into a single group marker that fans out when clicked ('group')
+  function getMarkerPixel(entityId) {
+    const marker = markers[entityId];
+
+    if (isOSM) {
+      return map.latLngToContainerPoint(marker.getLatLng());
+    }
+
+    const projection = marker.getProjection();
+    if (!projection) return null;
+    return projection.fromLatLngToContainerPixel(
+      new google.maps.LatLng(marker.position.lat, marker.position.lng)
+    );
+  }
+
+  function pixelToLatLng(point) {
+    if (isOSM) {
+      return map.containerPointToLatLng(point);
+    }
+
+    const projection = Object.values(markers).find(m => m.getProjection())?.getProjection();
+    const latLng = projection.fromContainerPixelToLatLng(new google.maps.Point(point.x, point.y));
+    return { lat: latLng.lat(), lng: latLng.lng() };
+  }
+
+  // Greedily group visible markers whose positions are closer than one marker width
+  function findMarkerClusters() {
+    const threshold = markerDimensions.size;
+    const points = [];
+
+    Object.keys(markers).forEach(entityId => {
+      if (playbackHiddenMarkers.has(entityId)) return;
+      const pixel = getMarkerPixel(entityId);
+      if (pixel) points.push({ entityId: entityId, x: pixel.x, y: pixel.y });
+    });
+
+    const clusters = [];
+    const assigned = new Set();
+
+    points.forEach(point => {
+      if (assigned.has(point.entityId)) return;
+
+      const members = points.filter(other =>
+        !assigned.has(other.entityId) &&
+        Math.hypot(other.x - point.x, other.y - point.y) < threshold
+      );
+      members.forEach(member => assigned.add(member.entityId));
+      clusters.push(members);
+    });
+
+    return clusters;
+  }
+
+  function applyOverlapLayout() {
+    if (!map) return;
+
+    markerOffsets = {};
+    groupedMarkers.clear();
+    clearSpiderLegs();
+
+    const activeGroupKeys = new Set();
+
+    if (OVERLAP_MODE !== 'none') {
+      try {
+        findMarkerClusters()
+          .filter(members => members.length > 1)
+          .forEach(members => {
+            const key = members.map(m => m.entityId).sort().join('|');
+            const center = {
+              x: members.reduce((sum, m) => sum + m.x, 0) / members.length,
+              y: members.reduce((sum, m) => sum + m.y, 0) / members.length
+            };
+
+            if (OVERLAP_MODE === 'group' && expandedGroup !== key) {
+              members.forEach(m => groupedMarkers.add(m.entityId));
+              updateGroupMarker(key, members.map(m => m.entityId), pixelToLatLng(center));
+              activeGroupKeys.add(key);
+            } else {
+              spiderfyCluster(members, center);
+            }
+          });
+      } catch (error) {
+        console.error('Error laying out overlapping markers:', error);
+      }
+    }
+
+    // Drop group markers whose members moved apart
+    Object.keys(groupMarkers).forEach(key => {
+      if (!activeGroupKeys.has(key)) {
+        removeGroupMarker(key);
+      }
+    });
+
+    Object.keys(markers).forEach(applyMarkerPresentation);
+  }
+
+  function spiderfyCluster(members, center) {
+    const spacing = markerDimensions.size * 1.1;
+    const radius = Math.max(spacing, (spacing * members.length) / (2 * Math.PI));
+
+    members.forEach((member, index) => {
+      // Start on the left so two markers sit side by side
+      const angle = Math.PI + (2 * Math.PI * index) / members.length;
+      const target = {
+        x: center.x + radius * Math.cos(angle),
+        y: center.y + radius * Math.sin(angle)
+      };
+
+      markerOffsets[member.entityId] = { x: target.x - member.x, y: target.y - member.y };
+      addSpiderLeg(pixelToLatLng(member), pixelToLatLng(target));
+    });
+  }
+
+  function addSpiderLeg(from, to) {
+    if (isOSM) {
+      spiderLegs.push(L.polyline([from, to], {
+        color: '#555',
+        weight: 1.5,
+        dashArray: '3 3',
+        interactive: false
+      }).addTo(map));
+    } else {
+      spiderLegs.push(new google.maps.Polyline({
+        map: map,
+        path: [from, to],
+        strokeColor: '#555',
+        strokeWeight: 1.5,
+        clickable: false
+      }));
+    }
+  }
+
+  function clearSpiderLegs() {
+    spiderLegs.forEach(leg => {
+      if (isOSM) {
+        leg.remove();
+      } else {
+        leg.setMap(null);
+      }
+    });
+    spiderLegs = [];
+  }
+
+  // Applies visibility and fan-out offset to a marker's DOM element
+  function applyMarkerPresentation(entityId) {
+    const marker = markers[entityId];
+    if (!marker) return;
+
+    const hidden = groupedMarkers.has(entityId) || playbackHiddenMarkers.has(entityId);
+    const offset = markerOffsets[entityId] || { x: 0, y: 0 };
+
+    if (isOSM) {
+      const element = marker.getElement();
+      if (!element) return;
+
+      // Leaflet positions the icon through its margins (the negative icon anchor)
+      const anchor = getMarkerAnchor();
+      element.style.display = hidden ? 'none' : '';
+      element.style.marginLeft = (offset.x - anchor.x) + 'px';
+      element.style.marginTop = (offset.y - anchor.y) + 'px';
+    } else {
+      marker.offset = offset;
+      if (marker.div && marker.getProjection()) {
+        marker.div.style.display = hidden ? 'none' : '';
+        marker.draw();
+      }
+    }
+  }
+
+  function createGroupMarkerHTML(entityIds) {
+    const avatars = entityIds.slice(0, 3).map(entityId => {
+      const data = entityData[entityId] || { attributes: {} };
+      const zoneConfig = ZONES[data.state] || ZONES.not_home || { color: '#757575' };
+      return createAvatarHTML(data.attributes.entity_picture || '', data.attributes.icon,
+        'group-marker-avatar', `border-color: ${zoneConfig.color}`);
+    }).join('');
+
+    return `
+      <div class="group-marker">
+        ${avatars}
+        <span class="group-marker-count">${entityIds.length}</span>
+      </div>
+    `;
+  }
+
+  function getGroupMarkerSize(count) {
+    const size = markerDimensions.size;
+    return {
+      width: size + (Math.min(count, 3) - 1) * Math.round(size * 0.4),
+      height: size
+    };
+  }
+
+  function updateGroupMarker(key, entityIds, position) {
+    const html = createGroupMarkerHTML(entityIds);
+    const expand = () => {
+      expandedGroup = key;
+      applyOverlapLayout();
+    };
+
+    if (isOSM) {
+      const groupSize = getGroupMarkerSize(entityIds.length);
+      const iconKey = `${html}|${groupSize.width}|${groupSize.height}`;
+      const createIcon = () => L.divIcon({
+        className: 'custom-leaflet-marker',
+        html: html,
+        iconSize: [groupSize.width, groupSize.height],
+        iconAnchor: [groupSize.width / 2, groupSize.height / 2]
+      });
+
+      if (groupMarkers[key]) {
+        groupMarkers[key].setLatLng(position);
+
+        // Rebuilding the icon reloads the avatars, so only do it when the group looks different
+        if (iconKey !== groupMarkers[key].iconKey) {
+          groupMarkers[key].setIcon(createIcon());
+        }
+      } else {
+        groupMarkers[key] = L.marker(position, { icon: createIcon(), zIndexOffset: 1000 }).addTo(map);
+        groupMarkers[key].on('click', expand);
+      }
+      groupMarkers[key].iconKey = iconKey;
+    } else {
+      if (groupMarkers[key]) {
+        groupMarkers[key].update(position, html);
+      } else {
+        const HtmlOverlay = getHtmlOverlayClass();
+        groupMarkers[key] = new HtmlOverlay(position, html, { onClick: expand });
+        groupMarkers[key].setMap(map);
+      }
+    }
+  }
+
+  function removeGroupMarker(key) {
+    if (isOSM) {
+      groupMarkers[key].remove();
+    } else {
+      groupMarkers[key].setMap(null);
+    }
+    delete groupMarkers[key];
+  }
+
+  function setupOverlapHandling() {
+    if (OVERLAP_MODE === 'none' || !map) return;
+
+    const collapse = () => {
+      if (expandedGroup) {
+        expandedGroup = null;
+        applyOverlapLayout();
+      }
+    };
+
+    // Screen distances change with zoom, so re-cluster when the view settles
+    if (isOSM) {
+      map.on('zoomend', applyOverlapLayout);
+      map.on('click', collapse);
+    } else {
+      map.addListener('idle', applyOverlapLayout);
+      map.addListener('click', collapse);
+    }
+  }
+
+  // Theme handling: popups and controls follow the Home Assistant theme colors,
+  // the map itself switches to dark tiles (OSM) or a dark style (Google)
+  function applyTheme(theme) {
+    const themeRoot = viewElement;
+    const colors = theme.colors || {};
+    const variables = {
+      '--popup-background': colors.background,
+      '--popup-text': colors.text,
+      '--popup-secondary-text': colors.secondary_text,
+      '--popup-divider': colors.divider,
+      '--control-background': colors.background,
+      '--control-text': colors.text,
+      '--control-active': colors.primary
+    };
+
+    Object.entries(variables).forEach(([name, value]) => {
+      if (value) {
+        themeRoot.style.setProperty(name, value);
+      } else {
+        themeRoot.style.removeProperty(name);
+      }
+    });
+
+    themeRoot.classList.toggle('dark', !!theme.dark);
+
+    if (!!theme.dark !== darkMode) {
+      darkMode = !!theme.dark;
+      updateMapTheme();
+    }
+  }
+
+  function updateMapTheme() {
+    if (!map) return;
+
+    try {
+      if (isOSM) {
+        if (DARK_TILE_URL === TILE_URL) return;
+
+        const newLayer = createTileLayer(darkMode);
+        map.setMaxZoom(getMaxZoom(darkMode));
+        newLayer.addTo(map);
+        if (tileLayer) {
+          tileLayer.remove();
+        }
+        tileLayer = newLayer;
+      } else {
+        map.setOptions({ styles: darkMode ? GOOGLE_DARK_STYLE : null });
+      }
+
+      if (DEBUG) {
+        console.log(`Map theme switched to ${darkMode ? 'dark' : 'light'}`);
+      }
+    } catch (error) {
+      console.error('Error switching map theme:', error);
+    }
+  }
+
+  // History playback
+  const PLAYBACK_TICK_MS = 100;
+
+  function formatDateInput(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function setPlaybackStatus(text) {
+    $('playback-time').textContent = text;
+  }
+
+  function setPlaybackControlsEnabled(enabled) {
+    $('playback-play').disabled = !enabled;
+    $('playback-slider').disabled = !enabled;
+  }
+
+  function setMarkerHidden(entityId, hidden) {
+    if (hidden) {
+      playbackHiddenMarkers.add(entityId);
+    } else {
+      playbackHiddenMarkers.delete(entityId);
+    }
+  }
+
+  function openPlayback() {
+    playback.active = true;
+    $('playback-bar').classList.add('active');
+
+    const dateInput = $('playback-date');
+    const today = formatDateInput(new Date());
+    dateInput.max = today;
+    if (!dateInput.value) {
+      dateInput.value = today;
+    }
+
+    requestPlaybackHistory(dateInput.value);
+  }
+
+  function closePlayback() {
+    pausePlayback();
+    playback.active = false;
+    playback.date = null;
+    playback.frames = {};
+    playback.end = 0;
+    $('playback-bar').classList.remove('active');
+
+    // Back to live positions
+    playbackHiddenMarkers.clear();
+    skipMarkerAnimation = true;
+    updateAllMarkers();
+    skipMarkerAnimation = false;
+  }
+
+  function requestPlaybackHistory(date) {
+    pausePlayback();
+    playback.date = date;
+    playback.frames = {};
+    playback.end = 0;
+    setPlaybackControlsEnabled(false);
+    setPlaybackStatus(t('map.loading'));
+
+    post({ type: 'request-history', date: date });
+  }
+
+  function receivePlaybackHistory(date, frames, error) {
+    // Ignore responses for a day that is no longer selected
+    if (!playback.active || date !== playback.date) {
+      return;
+    }
+
+    if (error || !frames) {
+      console.error('Playback history unavailable:', error);
+      setPlaybackStatus(t('map.unavailable'));
+      return;
+    }
+
+    const firstTimestamps = Object.values(frames)
+      .filter(entityFrames => entityFrames.length > 0)
+      .map(entityFrames => entityFrames[0].timestamp);
+
+    if (firstTimestamps.length === 0) {
+      setPlaybackStatus(t('map.no_data'));
+      return;
+    }
+
+    const [year, month, day] = date.split('-').map(Number);
+    playback.frames = frames;
+    playback.start = new Date(year, month - 1, day).getTime();
+    playback.end = Math.min(playback.start + 24 * 3600 * 1000, Date.now());
+    playback.lastFrames = {};
+
+    const slider = $('playback-slider');
+    slider.min = playback.start;
+    slider.max = playback.end;
+
+    setPlaybackControlsEnabled(true);
+    renderPlaybackFrame(Math.min(...firstTimestamps), true);
+  }
+
+  // Latest frame at or before the given time (frames are sorted by timestamp)
+  function findPlaybackFrame(frames, time) {
+    let low = 0;
+    let high = frames.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (frames[mid].timestamp <= time) {
+        found = frames[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  function renderPlaybackFrame(time, force = false) {
+    playback.time = time;
+    $('playback-slider').value = time;
+    setPlaybackStatus(new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+
+    for (const [entityId, frames] of Object.entries(playback.frames)) {
+      const frame = findPlaybackFrame(frames, time);
+
+      if (!frame) {
+        setMarkerHidden(entityId, true);
+        delete playback.lastFrames[entityId];
+        continue;
+      }
+
+      // Only re-render markers whose recorded state changed
+      if (!force && playback.lastFrames[entityId] === frame) {
+        continue;
+      }
+      playback.lastFrames[entityId] = frame;
+
+      // Only who the entity is comes from live data; everything else is the recorded frame
+      const live = (entityData[entityId] || { attributes: {} }).attributes;
+      updateMarker(entityId, {
+        state: frame.state,
+        attributes: {
+          latitude: frame.latitude,
+          longitude: frame.longitude,
+          friendly_name: live.friendly_name,
+          state_name: frame.state_name || null,
+          entity_picture: live.entity_picture,
+          icon: live.icon
+        },
+        activity: frame.activity,
+        speed: frame.speed,
+        distance: null,
+        predicted_activity: null,
+        heading: null,
+        stale: false,
+        details: null
+      });
+      setMarkerHidden(entityId, false);
+    }
+
+    applyOverlapLayout();
+  }
+
+  function playPlayback() {
+    if (playback.timer || playback.end === 0) return;
+
+    if (playback.time >= playback.end) {
+      renderPlaybackFrame(playback.start);
+    }
+
+    playback.timer = setInterval(() => {
+      // Speed is recorded seconds per real second
+      const speed = parseInt($('playback-speed').value) || 1800;
+      const next = playback.time + speed * PLAYBACK_TICK_MS;
+
+      if (next >= playback.end) {
+        renderPlaybackFrame(playback.end);
+        pausePlayback();
+      } else {
+        renderPlaybackFrame(next);
+      }
+    }, PLAYBACK_TICK_MS);
+
+    root.querySelector('#playback-play i').className = 'mdi mdi-pause';
+    $('playback-play').title = t('map.pause');
+  }
+
+  function pausePlayback() {
+    if (playback.timer) {
+      clearInterval(playback.timer);
+      playback.timer = null;
+    }
+
+    root.querySelector('#playback-play i').className = 'mdi mdi-play';
+    $('playback-play').title = t('map.play');
+  }
+
+  function setupPlaybackControls() {
+    if (!SHOW_PLAYBACK) return;
+
+    $('playback-button').style.display = '';
+    $('playback-button').addEventListener('click', () => {
+      if (playback.active) {
+        closePlayback();
+      } else {
+        openPlayback();
+      }
+    });
+
+    $('playback-close').addEventListener('click', closePlayback);
+
+    $('playback-play').addEventListener('click', () => {
+      if (playback.timer) {
+        pausePlayback();
+      } else {
+        playPlayback();
+      }
+    });
+
+    $('playback-slider').addEventListener('input', (e) => {
+      pausePlayback();
+      renderPlaybackFrame(parseInt(e.target.value));
+    });
+
+    $('playback-date').addEventListener('change', (e) => {
+      if (e.target.value) {
+        requestPlaybackHistory(e.target.value);
+      }
+    });
+  }
+
+  // Load Google Maps API only if needed
+  function loadGoogleMapsAPI() {
+    // The API reports readiness through a global callback
+    window.initMap = initMap;
+
+    const script = document.createElement('script');
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_API_KEY}&loading=async&callback=initMap`;
+    script.async = true;
+    script.defer = true;
+    script.onerror = () => {
+      console.error('Failed to load Google Maps API');
+      post({ type: 'map-error', error: 'Failed to load Google Maps API' });
+    };
+    document.head.appendChild(script);
+  }
+
+  // Icons are not needed to draw the map, so don't wait for them. The font face must be
+  // declared on the page, the icon classes also next to the view when it lives in a shadow root.
+  loadIconFont(ASSET_BASE).catch(error => console.error('Error loading icon font:', error));
+  if (inShadowRoot) {
+    loadStylesheet(getAssetUrls(ASSET_BASE, 'mdiCss'), root).catch(() => {});
+  }
+
+  // Load appropriate map provider
+  if (isOSM) {
+    // OpenStreetMap - load Leaflet, then initialize
+    Promise.all([
+      loadStylesheet(getAssetUrls(ASSET_BASE, 'leafletCss'), styleTarget),
+      loadLeaflet(ASSET_BASE)
+    ])
+      .then(() => {
+        if (!destroyed) initMap();
+      })
+      .catch(error => {
+        console.error('Error loading Leaflet:', error);
+        post({ type: 'map-error', error: `Could not load Leaflet: ${error.message}` });
+      });
+  } else {
+    // Google Maps - need to load API first
+    loadGoogleMapsAPI();
+  }
+
+  // Set up refresh button
+  $('refresh-button').addEventListener('click', () => fitMapToMarkers());
+  setupFollowControls();
+  setupPlaybackControls();
+  popupRefreshTimer = setInterval(refreshPopups, POPUP_REFRESH_INTERVAL);
+
+  // Handles a message from the card
+  function handleMessage(data) {
+    if (!data || !data.type) {
+      return;
+    }
+
+    if (data.type === MESSAGE_INIT || data.type === MESSAGE_ENTITY_PATCH ||
+        data.type === MESSAGE_ENTITY_REMOVE || data.type === MESSAGE_CONFIG_PATCH) {
+      handleNumberedMessage(data);
+    } else if (data.type === 'theme-update') {
+      applyTheme(data.theme || {});
+    } else if (data.type === 'history-data') {
+      receivePlaybackHistory(data.date, data.frames, data.error);
+    } else if (data.type === 'trail-update') {
+      trailData = data.trails || {};
+      updateTrails();
+    } else if (data.type === 'zone-update') {
+      zoneData = data.zones || {};
+      zonesReceived = true;
+      updateZoneOverlays();
+      applyInitialView();
+    }
+  }
+
+  // Numbered messages build on each other, so after a gap the map asks the card to start over
+  function handleNumberedMessage(data) {
+    if (data.version !== PROTOCOL_VERSION) {
+      console.error(`Card sent protocol version ${data.version}, this map expects ${PROTOCOL_VERSION}`);
+      post({ type: 'map-error', error: `The map page does not match the card version (protocol ${data.version} instead of ${PROTOCOL_VERSION}). Clear the browser cache and reload.` });
+      return;
+    }
+
+    if (data.type !== MESSAGE_INIT && (lastSeq === null || data.seq !== lastSeq + 1)) {
+      if (!resyncRequested) {
+        console.warn(`Missed a message from the card (got ${data.seq} after ${lastSeq}), requesting all data`);
+        resyncRequested = true;
+        post({ type: 'request-data' });
+      }
+      return;
+    }
+
+    lastSeq = data.seq;
+
+    if (data.type === MESSAGE_INIT) {
+      resyncRequested = false;
+      applyInit(data);
+    } else if (data.type === MESSAGE_ENTITY_PATCH) {
+      units = data.units || units;
+      lastUpdate = data.timestamp;
+      updateCount++;
+      updateMarkers(mergeEntityData(data.data || {}));
+    } else if (data.type === MESSAGE_ENTITY_REMOVE) {
+      (data.entity_ids || []).forEach(removeMarker);
+      updateMarkers([]);
+    } else if (data.type === MESSAGE_CONFIG_PATCH) {
+      applyConfig(data.config || {});
+
+      // Zone colors, activity badges and sizes show on every marker
+      updateAllMarkers();
+      updateZoneOverlays();
+    }
+
+    post({ type: MESSAGE_ACK, version: PROTOCOL_VERSION, seq: data.seq });
+  }
+
+  // Replaces the entities with a full snapshot; markers whose data did not change are left alone
+  function applyInit(data) {
+    const newData = data.data || {};
+    const unitsChanged = (data.units || 'metric') !== units;
+
+    Object.keys(entityData)
+      .filter(entityId => !(entityId in newData))
+      .forEach(removeMarker);
+
+    if (data.config) {
+      applyConfig(data.config);
+      updateZoneOverlays();
+    }
+
+    units = data.units || 'metric';
+    lastUpdate = data.timestamp;
+    updateCount++;
+
+    const changed = mergeEntityData(newData);
+    updateMarkers(data.config || unitsChanged ? Object.keys(entityData) : changed);
+  }
+
+  // Stores new entity data and returns the IDs that differ from what is shown
+  function mergeEntityData(newData) {
+    const changed = Object.keys(newData).filter(entityId =>
+      JSON.stringify(newData[entityId]) !== JSON.stringify(entityData[entityId])
+    );
+    changed.forEach(entityId => {
+      entityData[entityId] = newData[entityId];
+    });
+    return changed;
+  }
+
+  // Applies visual config changed in the editor (zones, activities, border radius, marker size)
+  function applyConfig(config) {
+    if (config.zones) {
+      Object.keys(ZONES).forEach(key => delete ZONES[key]);
+      Object.assign(ZONES, config.zones);
+      console.log('Zones updated:', ZONES);
+    }
+
+    if (config.activities) {
+      Object.keys(ACTIVITIES).forEach(key => delete ACTIVITIES[key]);
+      // Convert icon format from 'mdi:icon-name' to 'mdi-icon-name'
+      const convertedActivities = {};
+      Object.entries(config.activities).forEach(([state, activityConfig]) => {
+        convertedActivities[state] = {
+          ...activityConfig,
+          icon: activityConfig.icon ? activityConfig.icon.replace(':', '-') : activityConfig.icon,
+          name: localizeActivity(LANGUAGE, state, activityConfig.name)
+        };
+      });
+      Object.assign(ACTIVITIES, convertedActivities);
+      console.log('Activities updated:', ACTIVITIES);
+    }
+
+    if (config.marker_border_radius || config.badge_border_radius) {
+      // Update border radius CSS variables
+      if (config.marker_border_radius) {
+        viewElement.style.setProperty('--marker-radius', config.marker_border_radius);
+      }
+      if (config.badge_border_radius) {
+        viewElement.style.setProperty('--badge-radius', config.badge_border_radius);
+      }
+
+      const markerRadius = config.marker_border_radius || getComputedStyle(viewElement).getPropertyValue('--marker-radius');
+      const badgeRadius = config.badge_border_radius || getComputedStyle(viewElement).getPropertyValue('--badge-radius');
+      console.log('Border radius updated:', markerRadius, badgeRadius);
+    }
+
+    if (config.marker_size && MARKER_SIZES[config.marker_size]) {
+      // Update marker size dynamically
+      selectedMarkerSize = { ...MARKER_SIZES[config.marker_size] };
+      applyMarkerSizeVariables(selectedMarkerSize);
+      recalculateMarkerDimensions();
+
+      console.log('Marker size updated to:', config.marker_size);
+    }
+  }
+
+  function destroy() {
+    destroyed = true;
+    pausePlayback();
+    clearInterval(popupRefreshTimer);
+    Object.keys(markerAnimations).forEach(cancelMarkerAnimation);
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+    }
+    if (map && isOSM) {
+      map.remove();
+    }
+    map = null;
+  }
+
+  return {
+    handleMessage: handleMessage,
+    fitMapToMarkers: fitMapToMarkers,
+    getLastUpdate: () => lastUpdate,
+    destroy: destroy
+  };
+}
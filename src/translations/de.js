@@ -0,0 +1,202 @@
+/**
+ * German strings
+ */
+export default {
+  card: {
+    load_error_title: 'Karte konnte nicht geladen werden',
+    page_not_responding: 'Die Kartenseite {url} antwortet nicht. Prüfe, ob es die map-badge-v2.html aus dieser Version der Karte ist.',
+    page_http_error: 'Die Kartenseite {url} konnte nicht geladen werden (HTTP {status}). Stelle sicher, dass map-badge-v2.html neben map-badge-card.js installiert ist, oder setze iframe_url.',
+    page_load_error: 'Die Kartenseite {url} konnte nicht geladen werden: {error}'
+  },
+  map: {
+    history: 'Verlauf',
+    history_title: 'Aufgezeichneten Verlauf abspielen',
+    follow: 'Folgen',
+    follow_title: 'Wieder folgen',
+    following_title: 'Folgt - Karte ziehen zum Beenden',
+    recenter: 'Zentrieren',
+    recenter_title: 'Karte auf die Startansicht zurücksetzen',
+    play: 'Abspielen',
+    pause: 'Pause',
+    playback_speed: 'Wiedergabegeschwindigkeit',
+    back_to_live: 'Zurück zur Live-Ansicht',
+    loading: 'Lädt…',
+    unavailable: 'Nicht verfügbar',
+    no_data: 'Keine Daten'
+  },
+  popup: {
+    last_seen: 'Zuletzt gesehen {time}',
+    updated: 'Aktualisiert {time}',
+    changed: 'Geändert {time}',
+    gps_accuracy: 'GPS-Genauigkeit',
+    altitude: 'Höhe',
+    location_source: 'Standortquelle',
+    distance_from: '{distance} von {zone}',
+    eta: 'Ankunft in {duration}',
+    trend: {
+      closer: 'Kommt näher',
+      farther: 'Entfernt sich',
+      steady: 'Bewegt sich nicht'
+    }
+  },
+  time: {
+    just_now: 'gerade eben',
+    minutes_ago: 'vor {count} Min.',
+    hours_ago: 'vor {count} Std.',
+    days_ago: 'vor {count} Tg.',
+    minutes: '{minutes} Min.',
+    hours_minutes: '{hours} Std. {minutes} Min.'
+  },
+  state: {
+    home: 'Zuhause',
+    not_home: 'Abwesend',
+    unknown: 'Unbekannt',
+    unavailable: 'Nicht verfügbar'
+  },
+  activity: {
+    unknown: 'Unbekannt',
+    still: 'Stillstand',
+    on_foot: 'Zu Fuß',
+    walking: 'Gehen',
+    running: 'Laufen',
+    on_bicycle: 'Radfahren',
+    in_vehicle: 'Im Fahrzeug',
+    in_road_vehicle: 'Im Fahrzeug',
+    in_four_wheeler_vehicle: 'Im Fahrzeug',
+    in_car: 'Im Fahrzeug',
+    Automotive: 'Im Fahrzeug',
+    in_rail_vehicle: 'Im Zug',
+    in_bus: 'Im Bus',
+    tilting: 'Neigen'
+  },
+  editor: {
+    title: 'Map Badge Card Konfiguration',
+    follow_home_assistant: 'Wie Home Assistant',
+    color: 'Farbe',
+    provider: {
+      header: 'Kartenanbieter',
+      map_provider: 'Kartenanbieter',
+      osm: 'OpenStreetMap (kein API-Schlüssel nötig)',
+      osm_note: 'OpenStreetMap ist kostenlos und braucht keine Anmeldung',
+      rendering: 'Darstellung',
+      iframe: 'Iframe',
+      direct: 'Direkt (in der Karte)',
+      rendering_note: 'Direkte Darstellung erscheint schneller, unterstützt aber nur OpenStreetMap; Google Maps nutzt immer den Iframe',
+      map_style: 'Kartenstil',
+      custom_tiles: 'Eigener Kachelserver',
+      dark_map_style: 'Kartenstil im dunklen Modus',
+      automatic: 'Automatisch',
+      dark_map_style_note: 'Automatisch nutzt CARTO Dark für die Standardstile und behält Luftbild-, Topo- und eigene Stile bei',
+      tile_url: 'Kachel-URL-Vorlage',
+      subdomains: 'Subdomains',
+      attribution: 'Quellenangabe',
+      max_zoom: 'Max. Zoom',
+      tile_url_note: '{z}, {x} und {y} werden durch die Kachelkoordinaten ersetzt, {s} durch eine der Subdomains',
+      api_key: 'Google-API-Schlüssel',
+      api_key_note: 'Nur für Google Maps nötig - den API-Schlüssel gibt es in der Google Cloud Console',
+      map_type: 'Kartentyp',
+      hybrid: 'Hybrid',
+      satellite: 'Satellit',
+      roadmap: 'Straßenkarte',
+      terrain: 'Gelände',
+      map_type_note: 'Kartentyp (nur Google Maps)',
+      default_zoom: 'Standard-Zoom',
+      default_zoom_note: '1 = Weltansicht, 21 = maximaler Zoom',
+      update_interval: 'Aktualisierungsintervall (Sekunden)',
+      update_interval_note: 'Wie oft Geschwindigkeit, Aktivität und veraltete Markierungen zwischen Standortmeldungen neu berechnet werden. Standortänderungen erscheinen, sobald Home Assistant sie meldet, und Markierungen gleiten in dieser Zeit zur neuen Position.',
+      update_throttle: 'Mindestabstand zwischen Aktualisierungen (Sekunden)',
+      update_throttle_note: 'Fasst kurz aufeinanderfolgende Änderungen zu einer Kartenaktualisierung zusammen. 0 zeigt jede Änderung sofort.',
+      follow: 'Folgen',
+      follow_off: 'Aus',
+      follow_all: 'Alle',
+      follow_note: 'Hält die Karte nach jeder Aktualisierung auf einer Person zentriert. Ziehen der Karte pausiert das Folgen, bis der Folgen-Knopf gedrückt wird.',
+      stale_after: 'Veraltet nach (Minuten)',
+      stale_after_note: 'Markierungen, die so lange keinen Standort gemeldet haben, werden blass dargestellt und zeigen, wann sie zuletzt gesehen wurden. Leer lassen, um nur nicht verfügbare Entitäten blass darzustellen.',
+      stale_badge: 'Warnsymbol an veralteten Markierungen'
+    },
+    view: {
+      header: 'Kartenansicht',
+      initial_view: 'Startansicht',
+      fit_markers: 'Alle Markierungen zeigen',
+      center: 'Mittelpunkt',
+      zone: 'Zone',
+      initial_view_note: 'Wo die Karte startet und wohin Zentrieren zurückkehrt. \'Zone\' zeigt die als Mittelpunkt angegebene Zone oder Zuhause.',
+      center_note: 'Breiten- und Längengrad oder eine Zonen-Entität',
+      min_zoom: 'Min. Zoom',
+      max_zoom: 'Max. Zoom',
+      max_bounds: 'Kartengrenzen',
+      max_bounds_note: 'Hält die Karte in diesem Bereich. Leer lassen, um überallhin verschieben zu können.'
+    },
+    appearance: {
+      header: 'Darstellung',
+      marker_radius: 'Eckenradius der Markierung',
+      badge_radius: 'Eckenradius des Abzeichens',
+      radius_note: '0% für eckig, 50% für rund',
+      marker_size: 'Markierungsgröße',
+      small: 'Klein (36px)',
+      medium: 'Mittel (48px)',
+      large: 'Groß (64px)',
+      marker_size_note: 'Passt die Größe der Markierungen auf der Karte an.',
+      overlap: 'Überlappende Markierungen',
+      overlap_spiderfy: 'Auffächern',
+      overlap_group: 'Gruppieren (Klick zum Aufklappen)',
+      overlap_none: 'Stapeln',
+      overlap_note: 'Wie Personen am selben Ort gezeigt werden, z. B. wenn alle zu Hause sind.',
+      show_accuracy: 'GPS-Genauigkeitskreis zeigen',
+      max_gps_accuracy: 'Ungenauere Updates ignorieren (m)',
+      max_gps_accuracy_note: 'Updates mit schlechterer GPS-Genauigkeit behalten die vorherige Position. Leer lassen, um jedes Update zu verwenden.',
+      units: 'Einheiten',
+      metric: 'Metrisch (km/h, km)',
+      imperial: 'Imperial (mph, mi)',
+      units_note: 'Einheiten für Geschwindigkeit und Entfernung in Popups und Beschriftungen',
+      theme: 'Design',
+      light: 'Hell',
+      dark: 'Dunkel',
+      theme_note: 'Farben der Karte, Popups und Knöpfe',
+      activity_source: 'Aktivitätsquelle',
+      activity_sensor: 'Aktivitätssensor',
+      speed_predicted: 'Schätzung aus Geschwindigkeit',
+      activity_source_note: 'Wie die Aktivität bestimmt wird.<br>\'Aktivitätssensor\' nutzt einen eigenen Home-Assistant-Sensor (z. B. aus einer Handy-App).<br>\'Schätzung aus Geschwindigkeit\' leitet die Aktivität aus der Bewegung ab:<br>- Stillstand: &lt; 1 km/h<br>- Gehen: 1-7 km/h<br>- Im Fahrzeug: &gt; 7 km/h',
+      speed_source: 'Geschwindigkeitsquelle',
+      speed_calculated: 'Aus GPS berechnet',
+      speed_sensor: 'Geschwindigkeitssensor',
+      speed_source_note: 'Wie die Geschwindigkeit bestimmt wird.<br>\'Aus GPS berechnet\' errechnet sie aus den Standortaktualisierungen.<br>\'Geschwindigkeitssensor\' nutzt einen eigenen Home-Assistant-Sensor.'
+    },
+    entities: {
+      header: 'Entitäten',
+      add: 'Entität hinzufügen',
+      tracked_entity: 'Verfolgte Entität',
+      icon: 'Symbol',
+      image: 'Bild-URL',
+      activity_sensor: 'Aktivitätssensor',
+      speed_sensor: 'Geschwindigkeitssensor',
+      proximity_sensor: 'Näherungssensor',
+      popup_extras: 'Popup-Extras'
+    },
+    zones: {
+      header: 'Zonen',
+      show_zones: 'Zonen auf der Karte zeigen',
+      show_zones_note: 'Zeichnet jede Home-Assistant-Zone als Kreis in ihrer Farbe',
+      show_zone_labels: 'Zonennamen zeigen',
+      distance_zone: 'Entfernung von',
+      distance_zone_note: 'Popups zeigen die Entfernung zu dieser Zone und beim Näherkommen die Ankunftszeit',
+      show_distance_label: 'Entfernung unter Markierungen zeigen',
+      add: 'Zone hinzufügen',
+      state_name: 'Zustand'
+    },
+    history: {
+      header: 'Standortverlauf',
+      show_trails: 'Bewegungsspuren zeigen',
+      show_trails_note: 'Zeichnet den Weg jeder Person, geladen aus der Home-Assistant-Aufzeichnung',
+      trail_hours: 'Spurlänge (Stunden)',
+      trail_color: 'Spurfarbe',
+      zone_color: 'Zonenfarbe',
+      activity_color: 'Aktivitätsfarbe',
+      show_playback: 'Verlaufswiedergabe zeigen',
+      show_playback_note: 'Fügt der Karte einen Verlauf-Knopf hinzu, um einen aufgezeichneten Tag abzuspielen'
+    },
+    activities: {
+      header: 'Aktivitäten'
+    }
+  }
+};
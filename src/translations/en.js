@@ -0,0 +1,202 @@
+/**
+ * English strings. Keys missing from other languages fall back to these.
+ */
+export default {
+  card: {
+    load_error_title: 'Map could not be loaded',
+    page_not_responding: 'The map page at {url} did not respond. Check that it is the map-badge-v2.html shipped with this version of the card.',
+    page_http_error: 'Could not load the map page {url} (HTTP {status}). Make sure map-badge-v2.html is installed next to map-badge-card.js, or set iframe_url.',
+    page_load_error: 'Could not load the map page {url}: {error}'
+  },
+  map: {
+    history: 'History',
+    history_title: 'Replay recorded history',
+    follow: 'Follow',
+    follow_title: 'Resume following',
+    following_title: 'Following - drag the map to stop',
+    recenter: 'Recenter',
+    recenter_title: 'Reset map to initial view',
+    play: 'Play',
+    pause: 'Pause',
+    playback_speed: 'Playback speed',
+    back_to_live: 'Back to live view',
+    loading: 'Loading…',
+    unavailable: 'Unavailable',
+    no_data: 'No data'
+  },
+  popup: {
+    last_seen: 'Last seen {time}',
+    updated: 'Updated {time}',
+    changed: 'Changed {time}',
+    gps_accuracy: 'GPS accuracy',
+    altitude: 'Altitude',
+    location_source: 'Location source',
+    distance_from: '{distance} from {zone}',
+    eta: 'ETA {duration}',
+    trend: {
+      closer: 'Getting closer',
+      farther: 'Moving away',
+      steady: 'Not moving'
+    }
+  },
+  time: {
+    just_now: 'just now',
+    minutes_ago: '{count} min ago',
+    hours_ago: '{count} h ago',
+    days_ago: '{count} d ago',
+    minutes: '{minutes} min',
+    hours_minutes: '{hours} h {minutes} min'
+  },
+  state: {
+    home: 'Home',
+    not_home: 'Away',
+    unknown: 'Unknown',
+    unavailable: 'Unavailable'
+  },
+  activity: {
+    unknown: 'Unknown',
+    still: 'Still',
+    on_foot: 'On Foot',
+    walking: 'Walking',
+    running: 'Running',
+    on_bicycle: 'Cycling',
+    in_vehicle: 'In Vehicle',
+    in_road_vehicle: 'In Vehicle',
+    in_four_wheeler_vehicle: 'In Vehicle',
+    in_car: 'In Vehicle',
+    Automotive: 'In Vehicle',
+    in_rail_vehicle: 'On Train',
+    in_bus: 'On Bus',
+    tilting: 'Tilting'
+  },
+  editor: {
+    title: 'Map Badge Card Configuration',
+    follow_home_assistant: 'Follow Home Assistant',
+    color: 'Color',
+    provider: {
+      header: 'Map Provider Settings',
+      map_provider: 'Map Provider',
+      osm: 'OpenStreetMap (No API Key Required)',
+      osm_note: 'OpenStreetMap is free and requires no authentication',
+      rendering: 'Rendering',
+      iframe: 'Iframe',
+      direct: 'Direct (inside the card)',
+      rendering_note: 'Direct rendering appears faster but supports OpenStreetMap only; Google Maps always uses the iframe',
+      map_style: 'Map Style',
+      custom_tiles: 'Custom Tile Server',
+      dark_map_style: 'Map Style in Dark Mode',
+      automatic: 'Automatic',
+      dark_map_style_note: 'Automatic uses CARTO Dark for the standard styles and keeps imagery, topo and custom styles',
+      tile_url: 'Tile URL Template',
+      subdomains: 'Subdomains',
+      attribution: 'Attribution',
+      max_zoom: 'Max Zoom',
+      tile_url_note: '{z}, {x} and {y} are replaced with the tile coordinates, {s} with one of the subdomains',
+      api_key: 'Google API Key',
+      api_key_note: 'Required only for Google Maps - Get your API key from Google Cloud Console',
+      map_type: 'Map Type',
+      hybrid: 'Hybrid',
+      satellite: 'Satellite',
+      roadmap: 'Roadmap',
+      terrain: 'Terrain',
+      map_type_note: 'Map type (Google Maps only)',
+      default_zoom: 'Default Zoom',
+      default_zoom_note: '1 = World view, 21 = Maximum zoom',
+      update_interval: 'Update Interval (seconds)',
+      update_interval_note: 'How often speed, activity and stale markers are recomputed between location reports. Location changes are shown as soon as Home Assistant reports them, and markers glide to a new position over this time.',
+      update_throttle: 'Minimum Time Between Updates (seconds)',
+      update_throttle_note: 'Groups changes that arrive in quick succession into one map update. 0 shows every change immediately.',
+      follow: 'Follow',
+      follow_off: 'Off',
+      follow_all: 'Everyone',
+      follow_note: 'Keep the map centered on a person after every update. Dragging the map pauses following until the Follow button is pressed.',
+      stale_after: 'Stale After (minutes)',
+      stale_after_note: 'Markers that have not reported a location for this long are faded and show when they were last seen. Leave empty to only fade unavailable entities.',
+      stale_badge: 'Warning badge on stale markers'
+    },
+    view: {
+      header: 'Map View',
+      initial_view: 'Initial View',
+      fit_markers: 'Fit All Markers',
+      center: 'Center',
+      zone: 'Zone',
+      initial_view_note: 'Where the map starts and where Recenter returns to. \'Zone\' fits the zone given as center, or Home.',
+      center_note: 'Latitude and longitude, or a zone entity',
+      min_zoom: 'Min Zoom',
+      max_zoom: 'Max Zoom',
+      max_bounds: 'Max Bounds',
+      max_bounds_note: 'Keeps the map inside this area. Leave empty to allow panning anywhere.'
+    },
+    appearance: {
+      header: 'Appearance Settings',
+      marker_radius: 'Marker Border Radius',
+      badge_radius: 'Badge Border Radius',
+      radius_note: '0% for square, 50% for circle',
+      marker_size: 'Marker Size',
+      small: 'Small (36px)',
+      medium: 'Medium (48px)',
+      large: 'Large (64px)',
+      marker_size_note: 'Adjust the visual size of the entity markers on the map.',
+      overlap: 'Overlapping Markers',
+      overlap_spiderfy: 'Fan Out',
+      overlap_group: 'Group (expand on click)',
+      overlap_none: 'Stack',
+      overlap_note: 'How to show people who are at the same place, e.g. everyone at home.',
+      show_accuracy: 'Show GPS accuracy circle',
+      max_gps_accuracy: 'Ignore Less Accurate Updates (m)',
+      max_gps_accuracy_note: 'Updates whose GPS accuracy is worse than this keep the previous position. Leave empty to use every update.',
+      units: 'Units',
+      metric: 'Metric (km/h, km)',
+      imperial: 'Imperial (mph, mi)',
+      units_note: 'Units for speed and distance in popups and labels',
+      theme: 'Theme',
+      light: 'Light',
+      dark: 'Dark',
+      theme_note: 'Colors of the map, popups and buttons',
+      activity_source: 'Activity Source',
+      activity_sensor: 'Activity Sensor',
+      speed_predicted: 'Speed-Based Prediction',
+      activity_source_note: 'Choose how activity is determined.<br>\'Activity Sensor\' uses a dedicated Home Assistant sensor (e.g., from a phone app).<br>\'Speed-Based Prediction\' infers activity from movement speed:<br>- Still: &lt; 1 km/h<br>- Walking: 1-7 km/h<br>- In Vehicle: &gt; 7 km/h',
+      speed_source: 'Speed Source',
+      speed_calculated: 'Calculated from GPS',
+      speed_sensor: 'Speed Sensor',
+      speed_source_note: 'Choose how speed is determined.<br>\'Calculated from GPS\' computes speed from location updates.<br>\'Speed Sensor\' uses a dedicated Home Assistant speed sensor.'
+    },
+    entities: {
+      header: 'Entities',
+      add: 'Add Entity',
+      tracked_entity: 'Tracked Entity',
+      icon: 'Icon',
+      image: 'Image URL',
+      activity_sensor: 'Activity Sensor',
+      speed_sensor: 'Speed Sensor',
+      proximity_sensor: 'Proximity Sensor',
+      popup_extras: 'Popup Extras'
+    },
+    zones: {
+      header: 'Zone Configuration',
+      show_zones: 'Show zones on map',
+      show_zones_note: 'Draws every Home Assistant zone as a circle in its configured color',
+      show_zone_labels: 'Show zone labels',
+      distance_zone: 'Distance From',
+      distance_zone_note: 'Popups show the distance to this zone and an ETA while getting closer',
+      show_distance_label: 'Show distance under markers',
+      add: 'Add Zone',
+      state_name: 'State Name'
+    },
+    history: {
+      header: 'Location History',
+      show_trails: 'Show location trails',
+      show_trails_note: 'Draws the route each person took, loaded from the Home Assistant recorder',
+      trail_hours: 'Trail Length (hours)',
+      trail_color: 'Trail Color',
+      zone_color: 'Zone Color',
+      activity_color: 'Activity Color',
+      show_playback: 'Show history playback',
+      show_playback_note: 'Adds a History button to the map for replaying a recorded day'
+    },
+    activities: {
+      header: 'Activity Configuration'
+    }
+  }
+};
@@ -0,0 +1,202 @@
+/**
+ * French strings
+ */
+export default {
+  card: {
+    load_error_title: 'Impossible de charger la carte',
+    page_not_responding: 'La page de carte {url} ne répond pas. Vérifiez qu\'il s\'agit du map-badge-v2.html livré avec cette version de la carte.',
+    page_http_error: 'Impossible de charger la page de carte {url} (HTTP {status}). Vérifiez que map-badge-v2.html est installé à côté de map-badge-card.js, ou définissez iframe_url.',
+    page_load_error: 'Impossible de charger la page de carte {url} : {error}'
+  },
+  map: {
+    history: 'Historique',
+    history_title: 'Rejouer l\'historique enregistré',
+    follow: 'Suivre',
+    follow_title: 'Reprendre le suivi',
+    following_title: 'Suivi actif - faites glisser la carte pour arrêter',
+    recenter: 'Recentrer',
+    recenter_title: 'Revenir à la vue initiale',
+    play: 'Lecture',
+    pause: 'Pause',
+    playback_speed: 'Vitesse de lecture',
+    back_to_live: 'Retour au direct',
+    loading: 'Chargement…',
+    unavailable: 'Indisponible',
+    no_data: 'Aucune donnée'
+  },
+  popup: {
+    last_seen: 'Vu pour la dernière fois {time}',
+    updated: 'Mis à jour {time}',
+    changed: 'Modifié {time}',
+    gps_accuracy: 'Précision GPS',
+    altitude: 'Altitude',
+    location_source: 'Source de localisation',
+    distance_from: '{distance} de {zone}',
+    eta: 'Arrivée dans {duration}',
+    trend: {
+      closer: 'Se rapproche',
+      farther: 'S\'éloigne',
+      steady: 'Immobile'
+    }
+  },
+  time: {
+    just_now: 'à l\'instant',
+    minutes_ago: 'il y a {count} min',
+    hours_ago: 'il y a {count} h',
+    days_ago: 'il y a {count} j',
+    minutes: '{minutes} min',
+    hours_minutes: '{hours} h {minutes} min'
+  },
+  state: {
+    home: 'Maison',
+    not_home: 'Absent',
+    unknown: 'Inconnu',
+    unavailable: 'Indisponible'
+  },
+  activity: {
+    unknown: 'Inconnu',
+    still: 'Immobile',
+    on_foot: 'À pied',
+    walking: 'Marche',
+    running: 'Course',
+    on_bicycle: 'Vélo',
+    in_vehicle: 'En véhicule',
+    in_road_vehicle: 'En véhicule',
+    in_four_wheeler_vehicle: 'En véhicule',
+    in_car: 'En véhicule',
+    Automotive: 'En véhicule',
+    in_rail_vehicle: 'En train',
+    in_bus: 'En bus',
+    tilting: 'Inclinaison'
+  },
+  editor: {
+    title: 'Configuration de Map Badge Card',
+    follow_home_assistant: 'Comme Home Assistant',
+    color: 'Couleur',
+    provider: {
+      header: 'Fournisseur de carte',
+      map_provider: 'Fournisseur de carte',
+      osm: 'OpenStreetMap (sans clé API)',
+      osm_note: 'OpenStreetMap est gratuit et ne demande aucune authentification',
+      rendering: 'Affichage',
+      iframe: 'Iframe',
+      direct: 'Direct (dans la carte)',
+      rendering_note: 'L\'affichage direct apparaît plus vite mais ne prend en charge qu\'OpenStreetMap ; Google Maps utilise toujours l\'iframe',
+      map_style: 'Style de carte',
+      custom_tiles: 'Serveur de tuiles personnalisé',
+      dark_map_style: 'Style de carte en mode sombre',
+      automatic: 'Automatique',
+      dark_map_style_note: 'Automatique utilise CARTO Dark pour les styles standard et conserve les styles satellite, topo et personnalisés',
+      tile_url: 'Modèle d\'URL des tuiles',
+      subdomains: 'Sous-domaines',
+      attribution: 'Attribution',
+      max_zoom: 'Zoom max',
+      tile_url_note: '{z}, {x} et {y} sont remplacés par les coordonnées de la tuile, {s} par l\'un des sous-domaines',
+      api_key: 'Clé API Google',
+      api_key_note: 'Nécessaire uniquement pour Google Maps - obtenez votre clé API dans la Google Cloud Console',
+      map_type: 'Type de carte',
+      hybrid: 'Hybride',
+      satellite: 'Satellite',
+      roadmap: 'Plan',
+      terrain: 'Relief',
+      map_type_note: 'Type de carte (Google Maps uniquement)',
+      default_zoom: 'Zoom par défaut',
+      default_zoom_note: '1 = vue du monde, 21 = zoom maximal',
+      update_interval: 'Intervalle de mise à jour (secondes)',
+      update_interval_note: 'Fréquence de recalcul de la vitesse, de l\'activité et des marqueurs obsolètes entre deux positions. Les changements de position s\'affichent dès que Home Assistant les signale, et les marqueurs glissent vers leur nouvelle position pendant ce délai.',
+      update_throttle: 'Délai minimal entre les mises à jour (secondes)',
+      update_throttle_note: 'Regroupe les changements rapprochés en une seule mise à jour de la carte. 0 affiche chaque changement immédiatement.',
+      follow: 'Suivre',
+      follow_off: 'Désactivé',
+      follow_all: 'Tout le monde',
+      follow_note: 'Garde la carte centrée sur une personne après chaque mise à jour. Faire glisser la carte suspend le suivi jusqu\'à ce que le bouton Suivre soit pressé.',
+      stale_after: 'Obsolète après (minutes)',
+      stale_after_note: 'Les marqueurs sans nouvelle position depuis ce délai sont estompés et indiquent quand ils ont été vus pour la dernière fois. Laissez vide pour n\'estomper que les entités indisponibles.',
+      stale_badge: 'Badge d\'avertissement sur les marqueurs obsolètes'
+    },
+    view: {
+      header: 'Vue de la carte',
+      initial_view: 'Vue initiale',
+      fit_markers: 'Afficher tous les marqueurs',
+      center: 'Centre',
+      zone: 'Zone',
+      initial_view_note: 'Où la carte démarre et où Recentrer revient. « Zone » affiche la zone donnée comme centre, ou Maison.',
+      center_note: 'Latitude et longitude, ou une entité de zone',
+      min_zoom: 'Zoom min',
+      max_zoom: 'Zoom max',
+      max_bounds: 'Limites de la carte',
+      max_bounds_note: 'Garde la carte dans cette zone. Laissez vide pour pouvoir se déplacer partout.'
+    },
+    appearance: {
+      header: 'Apparence',
+      marker_radius: 'Arrondi des marqueurs',
+      badge_radius: 'Arrondi des badges',
+      radius_note: '0% pour un carré, 50% pour un cercle',
+      marker_size: 'Taille des marqueurs',
+      small: 'Petit (36px)',
+      medium: 'Moyen (48px)',
+      large: 'Grand (64px)',
+      marker_size_note: 'Ajuste la taille des marqueurs sur la carte.',
+      overlap: 'Marqueurs superposés',
+      overlap_spiderfy: 'Déployer',
+      overlap_group: 'Grouper (clic pour déplier)',
+      overlap_none: 'Empiler',
+      overlap_note: 'Comment afficher les personnes au même endroit, par exemple tout le monde à la maison.',
+      show_accuracy: 'Afficher le cercle de précision GPS',
+      max_gps_accuracy: 'Ignorer les mises à jour moins précises (m)',
+      max_gps_accuracy_note: 'Les mises à jour dont la précision GPS est moins bonne gardent la position précédente. Laissez vide pour utiliser toutes les mises à jour.',
+      units: 'Unités',
+      metric: 'Métrique (km/h, km)',
+      imperial: 'Impérial (mph, mi)',
+      units_note: 'Unités de vitesse et de distance dans les popups et les étiquettes',
+      theme: 'Thème',
+      light: 'Clair',
+      dark: 'Sombre',
+      theme_note: 'Couleurs de la carte, des popups et des boutons',
+      activity_source: 'Source d\'activité',
+      activity_sensor: 'Capteur d\'activité',
+      speed_predicted: 'Estimation par la vitesse',
+      activity_source_note: 'Comment l\'activité est déterminée.<br>« Capteur d\'activité » utilise un capteur Home Assistant dédié (par ex. d\'une application mobile).<br>« Estimation par la vitesse » déduit l\'activité de la vitesse de déplacement :<br>- Immobile : &lt; 1 km/h<br>- Marche : 1-7 km/h<br>- En véhicule : &gt; 7 km/h',
+      speed_source: 'Source de vitesse',
+      speed_calculated: 'Calculée par GPS',
+      speed_sensor: 'Capteur de vitesse',
+      speed_source_note: 'Comment la vitesse est déterminée.<br>« Calculée par GPS » la déduit des mises à jour de position.<br>« Capteur de vitesse » utilise un capteur de vitesse Home Assistant dédié.'
+    },
+    entities: {
+      header: 'Entités',
+      add: 'Ajouter une entité',
+      tracked_entity: 'Entité suivie',
+      icon: 'Icône',
+      image: 'URL de l\'image',
+      activity_sensor: 'Capteur d\'activité',
+      speed_sensor: 'Capteur de vitesse',
+      proximity_sensor: 'Capteur de proximité',
+      popup_extras: 'Extras du popup'
+    },
+    zones: {
+      header: 'Zones',
+      show_zones: 'Afficher les zones sur la carte',
+      show_zones_note: 'Dessine chaque zone Home Assistant comme un cercle de sa couleur',
+      show_zone_labels: 'Afficher le nom des zones',
+      distance_zone: 'Distance depuis',
+      distance_zone_note: 'Les popups affichent la distance à cette zone et une heure d\'arrivée en cas de rapprochement',
+      show_distance_label: 'Afficher la distance sous les marqueurs',
+      add: 'Ajouter une zone',
+      state_name: 'Nom de l\'état'
+    },
+    history: {
+      header: 'Historique des positions',
+      show_trails: 'Afficher les traces',
+      show_trails_note: 'Dessine le trajet de chaque personne, chargé depuis l\'enregistreur de Home Assistant',
+      trail_hours: 'Durée des traces (heures)',
+      trail_color: 'Couleur des traces',
+      zone_color: 'Couleur de zone',
+      activity_color: 'Couleur d\'activité',
+      show_playback: 'Afficher la relecture de l\'historique',
+      show_playback_note: 'Ajoute un bouton Historique à la carte pour rejouer une journée enregistrée'
+    },
+    activities: {
+      header: 'Activités'
+    }
+  }
+};